@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+/**
+ * mock-upstream.js — Offline stand-in for the Qwen/DashScope API
+ *
+ * Implements the upstream endpoints the router talks to:
+ *   POST /v1/chat/completions         — streaming and non-streaming, tool calls
+ *   GET  /v1/models                   — model list (for MODEL_DISCOVERY)
+ *   POST /api/v1/oauth2/token         — refresh_token and device_code grants
+ *   POST /api/v1/oauth2/device/code   — device authorization (approved at once)
+ *
+ * Failures are scripted per request. Queue steps through the control API, or
+ * put a directive in the last user message:
+ *   POST /__mock/script    {"chat":[{"status":429,"retryAfter":2}],"oauth":[...]}
+ *   "[mock:401]"  "[mock:429]"  "[mock:slow]"  "[mock:malformed]"
+ *   GET  /__mock/requests  — requests received so far
+ *   POST /__mock/reset     — clear the script, request log and issued tokens
+ *
+ * Chat step fields: status, retryAfter (seconds), error (message), delayMs
+ * (before the response), chunkDelayMs (between stream chunks), malformed
+ * (broken SSE chunk mid-stream), content (reply text), reasoning (sent as
+ * reasoning_content). OAuth step fields: status, error (OAuth error code).
+ *
+ * Usage:
+ *   node mock-upstream.js                             # listen on :5055
+ *   node mock-upstream.js --port 6000 --creds ./mock-creds.json
+ *
+ * --creds writes an OAuth credential file pointing at the mock; start the
+ * router with CREDENTIALS_PATH set to it and the printed OAuth endpoints.
+ */
+
+const http = require('http');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const TOKEN_TTL_SECONDS = 3600;
+const SLOW_CHUNK_DELAY_MS = 500;
+const MOCK_MODELS = ['coder-model', 'qwen3-coder-plus', 'qwen3-max'];
+
+// ─── Response Builders ──────────────────────────────────────────────────────
+
+function sendJson(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+// DashScope-style error bodies for the statuses the router handles
+function sendChatError(res, step) {
+    const errors = {
+        401: ['Invalid access token or token expired', 'invalid_api_key'],
+        429: ['Free allocated quota exceeded.', 'insufficient_quota'],
+    };
+    const [message, code] = errors[step.status] || [
+        'Internal server error',
+        'internal_error',
+    ];
+    const headers =
+        step.retryAfter != null
+            ? { 'Retry-After': String(step.retryAfter) }
+            : {};
+    sendJson(
+        res,
+        step.status,
+        { error: { message: step.error || message, type: code, code } },
+        headers,
+    );
+}
+
+// Placeholder arguments that satisfy the tool's required parameters
+function buildToolArguments(tool) {
+    const params = tool.function?.parameters || {};
+    const args = {};
+    for (const name of params.required || []) {
+        const type = params.properties?.[name]?.type;
+        args[name] =
+            type === 'number' || type === 'integer'
+                ? 1
+                : type === 'boolean'
+                  ? true
+                  : type === 'array'
+                    ? []
+                    : type === 'object'
+                      ? {}
+                      : 'mock';
+    }
+    return JSON.stringify(args);
+}
+
+function messageText(message) {
+    if (typeof message?.content === 'string') return message.content;
+    if (!Array.isArray(message?.content)) return '';
+    return message.content
+        .map((part) => (typeof part === 'string' ? part : part.text || ''))
+        .join('');
+}
+
+// Calls the first tool unless the conversation just returned a tool result
+function buildReply(body, step) {
+    const messages = body.messages || [];
+    const last = messages[messages.length - 1];
+    const tool = body.tools?.[0];
+    if (tool && last?.role !== 'tool' && step.content == null) {
+        return {
+            content: null,
+            toolCalls: [
+                {
+                    id: `call_${crypto.randomBytes(6).toString('hex')}`,
+                    type: 'function',
+                    function: {
+                        name: tool.function?.name,
+                        arguments: buildToolArguments(tool),
+                    },
+                },
+            ],
+        };
+    }
+    const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+    const prompt = messageText(lastUser).slice(0, 60);
+    return {
+        content: step.content ?? `Mock reply to: ${prompt}`,
+        reasoning: step.reasoning ?? null,
+        toolCalls: null,
+    };
+}
+
+function buildUsage(rawBody, reply) {
+    const completionText =
+        (reply.content || '') + JSON.stringify(reply.toolCalls || '');
+    const promptTokens = Math.ceil(rawBody.length / 4);
+    const completionTokens = Math.ceil(completionText.length / 4);
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens,
+        prompt_tokens_details: { cached_tokens: 0 },
+    };
+}
+
+async function streamReply(res, body, reply, usage, step) {
+    const id = `chatcmpl-mock-${crypto.randomBytes(6).toString('hex')}`;
+    const created = Math.floor(Date.now() / 1000);
+    const chunks = [{ role: 'assistant', content: '' }];
+    for (const word of reply.reasoning?.match(/\S+\s*/g) || []) {
+        chunks.push({ reasoning_content: word });
+    }
+    if (reply.content) {
+        for (const word of reply.content.match(/\S+\s*/g) || []) {
+            chunks.push({ content: word });
+        }
+    }
+    (reply.toolCalls || []).forEach((call, index) => {
+        chunks.push({
+            tool_calls: [
+                {
+                    index,
+                    id: call.id,
+                    type: 'function',
+                    function: { name: call.function.name, arguments: '' },
+                },
+            ],
+        });
+        chunks.push({
+            tool_calls: [
+                { index, function: { arguments: call.function.arguments } },
+            ],
+        });
+    });
+
+    res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+    });
+    const send = (data) =>
+        res.write(
+            `data: ${typeof data === 'string' ? data : JSON.stringify(data)}\n\n`,
+        );
+    const chunk = (choices, extra = {}) => ({
+        id,
+        object: 'chat.completion.chunk',
+        created,
+        model: body.model,
+        choices,
+        ...extra,
+    });
+
+    for (let i = 0; i < chunks.length; i++) {
+        if (step.chunkDelayMs) await sleep(step.chunkDelayMs);
+        if (res.destroyed) return;
+        send(chunk([{ index: 0, delta: chunks[i], finish_reason: null }]));
+        if (step.malformed && i === 0) send('{"choices":[{"index":0,"delta":');
+    }
+    send(
+        chunk([
+            {
+                index: 0,
+                delta: {},
+                finish_reason: reply.toolCalls ? 'tool_calls' : 'stop',
+            },
+        ]),
+    );
+    if (body.stream_options?.include_usage) send(chunk([], { usage }));
+    send('[DONE]');
+    res.end();
+}
+
+function sleep(ms) {
+    return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+// ─── Mock Server ────────────────────────────────────────────────────────────
+
+function createMockUpstream() {
+    const state = {
+        chatSteps: [], // scripted outcomes for upcoming chat requests
+        oauthSteps: [], // scripted outcomes for upcoming token requests
+        requests: [], // { method, path, headers, body } in arrival order
+        issuedTokens: new Map(), // access token → expiry (ms)
+        deviceCodes: new Map(), // device code → PKCE code challenge
+    };
+
+    // Inline directives win over the queue so a test can mix both
+    function nextChatStep(body) {
+        const messages = body.messages || [];
+        const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+        const directive = messageText(lastUser).match(
+            /\[mock:(401|429|slow|malformed)\]/,
+        )?.[1];
+        if (directive === '401') return { status: 401 };
+        if (directive === '429') return { status: 429, retryAfter: 1 };
+        if (directive === 'slow') return { chunkDelayMs: SLOW_CHUNK_DELAY_MS };
+        if (directive === 'malformed') return { malformed: true };
+        return state.chatSteps.shift() || {};
+    }
+
+    function issueToken() {
+        const accessToken = `mock-at-${crypto.randomBytes(12).toString('hex')}`;
+        state.issuedTokens.set(
+            accessToken,
+            Date.now() + TOKEN_TTL_SECONDS * 1000,
+        );
+        return {
+            access_token: accessToken,
+            refresh_token: `mock-rt-${crypto.randomBytes(12).toString('hex')}`,
+            token_type: 'Bearer',
+            expires_in: TOKEN_TTL_SECONDS,
+            resource_url: server.baseUrl,
+        };
+    }
+
+    // Tokens the mock issued expire; unknown tokens are accepted as-is
+    function isTokenValid(authorization) {
+        const token = authorization?.match(/^Bearer\s+(.+)$/i)?.[1];
+        if (!token) return false;
+        const expiresAt = state.issuedTokens.get(token);
+        return expiresAt == null || expiresAt > Date.now();
+    }
+
+    async function handleChat(req, res, rawBody) {
+        let body;
+        try {
+            body = JSON.parse(rawBody || '{}');
+        } catch (e) {
+            return sendJson(res, 400, {
+                error: {
+                    message: 'Invalid JSON body',
+                    type: 'invalid_request_error',
+                },
+            });
+        }
+        const step = nextChatStep(body);
+        if (step.delayMs) await sleep(step.delayMs);
+
+        if (!step.status && !isTokenValid(req.headers.authorization)) {
+            return sendChatError(res, { status: 401 });
+        }
+        if (step.status && step.status !== 200) {
+            return sendChatError(res, step);
+        }
+
+        const reply = buildReply(body, step);
+        const usage = buildUsage(rawBody, reply);
+        if (body.stream) return streamReply(res, body, reply, usage, step);
+
+        const message = { role: 'assistant', content: reply.content };
+        if (reply.reasoning) message.reasoning_content = reply.reasoning;
+        if (reply.toolCalls) message.tool_calls = reply.toolCalls;
+        sendJson(res, 200, {
+            id: `chatcmpl-mock-${crypto.randomBytes(6).toString('hex')}`,
+            object: 'chat.completion',
+            created: Math.floor(Date.now() / 1000),
+            model: body.model,
+            choices: [
+                {
+                    index: 0,
+                    message,
+                    finish_reason: reply.toolCalls ? 'tool_calls' : 'stop',
+                },
+            ],
+            usage,
+        });
+    }
+
+    function handleToken(res, rawBody) {
+        const params = new URLSearchParams(rawBody);
+        const step = state.oauthSteps.shift();
+        if (step?.status && step.status !== 200) {
+            return sendJson(res, step.status, {
+                error: step.error || 'invalid_grant',
+                error_description: 'Scripted mock failure',
+            });
+        }
+
+        const grantType = params.get('grant_type') || '';
+        if (grantType === 'refresh_token') {
+            if (!params.get('refresh_token')) {
+                return sendJson(res, 400, { error: 'invalid_request' });
+            }
+            return sendJson(res, 200, issueToken());
+        }
+        if (grantType.endsWith('device_code')) {
+            const challenge = state.deviceCodes.get(params.get('device_code'));
+            const verifier = params.get('code_verifier') || '';
+            const expected = crypto
+                .createHash('sha256')
+                .update(verifier)
+                .digest('base64url');
+            if (challenge == null || challenge !== expected) {
+                return sendJson(res, 400, {
+                    error: 'invalid_grant',
+                    error_description: 'Unknown device code or PKCE mismatch',
+                });
+            }
+            state.deviceCodes.delete(params.get('device_code'));
+            return sendJson(res, 200, issueToken());
+        }
+        sendJson(res, 400, { error: 'unsupported_grant_type' });
+    }
+
+    function handleDeviceCode(res, rawBody) {
+        const params = new URLSearchParams(rawBody);
+        const deviceCode = crypto.randomBytes(16).toString('hex');
+        const userCode = crypto.randomBytes(3).toString('hex').toUpperCase();
+        state.deviceCodes.set(deviceCode, params.get('code_challenge'));
+        sendJson(res, 200, {
+            device_code: deviceCode,
+            user_code: userCode,
+            verification_uri: `${server.baseUrl}/authorize`,
+            verification_uri_complete: `${server.baseUrl}/authorize?user_code=${userCode}`,
+            expires_in: 600,
+            interval: 1,
+        });
+    }
+
+    function handleControl(req, res, pathname, rawBody) {
+        if (req.method === 'GET' && pathname === '/__mock/requests') {
+            return sendJson(res, 200, { requests: state.requests });
+        }
+        if (req.method === 'POST' && pathname === '/__mock/script') {
+            let script;
+            try {
+                script = JSON.parse(rawBody || '{}');
+            } catch (e) {
+                return sendJson(res, 400, { error: 'Invalid JSON body' });
+            }
+            state.chatSteps.push(...(script.chat || []));
+            state.oauthSteps.push(...(script.oauth || []));
+            return sendJson(res, 200, {
+                chat: state.chatSteps.length,
+                oauth: state.oauthSteps.length,
+            });
+        }
+        if (req.method === 'POST' && pathname === '/__mock/reset') {
+            state.chatSteps.length = 0;
+            state.oauthSteps.length = 0;
+            state.requests.length = 0;
+            state.issuedTokens.clear();
+            state.deviceCodes.clear();
+            return sendJson(res, 200, { reset: true });
+        }
+        sendJson(res, 404, { error: 'Unknown mock control endpoint' });
+    }
+
+    const server = http.createServer((req, res) => {
+        let rawBody = '';
+        req.on('data', (data) => (rawBody += data));
+        req.on('end', () => {
+            const { pathname } = new URL(req.url, 'http://mock');
+            if (pathname.startsWith('/__mock/')) {
+                return handleControl(req, res, pathname, rawBody);
+            }
+            state.requests.push({
+                method: req.method,
+                path: pathname,
+                headers: req.headers,
+                body: rawBody,
+            });
+
+            if (
+                req.method === 'POST' &&
+                pathname.endsWith('/chat/completions')
+            ) {
+                return handleChat(req, res, rawBody).catch((e) => {
+                    if (!res.headersSent)
+                        sendChatError(res, { status: 500, error: e.message });
+                    else res.end();
+                });
+            }
+            if (req.method === 'GET' && pathname.endsWith('/models')) {
+                if (!isTokenValid(req.headers.authorization)) {
+                    return sendChatError(res, { status: 401 });
+                }
+                return sendJson(res, 200, {
+                    object: 'list',
+                    data: MOCK_MODELS.map((id) => ({
+                        id,
+                        object: 'model',
+                        created: 1735689600,
+                        owned_by: 'qwen',
+                    })),
+                });
+            }
+            if (req.method === 'POST' && pathname === '/api/v1/oauth2/token') {
+                return handleToken(res, rawBody);
+            }
+            if (
+                req.method === 'POST' &&
+                pathname === '/api/v1/oauth2/device/code'
+            ) {
+                return handleDeviceCode(res, rawBody);
+            }
+            sendJson(res, 404, {
+                error: { message: `No mock for ${req.method} ${pathname}` },
+            });
+        });
+    });
+
+    // Script helpers for in-process use (tests)
+    server.baseUrl = null; // set once listening
+    server.script = ({ chat = [], oauth = [] } = {}) => {
+        state.chatSteps.push(...chat);
+        state.oauthSteps.push(...oauth);
+    };
+    server.requests = state.requests;
+    server.issueToken = issueToken;
+    server.on('listening', () => {
+        const { port } = server.address();
+        server.baseUrl = `http://127.0.0.1:${port}`;
+    });
+    return server;
+}
+
+// ─── CLI ────────────────────────────────────────────────────────────────────
+
+if (require.main === module) {
+    const args = process.argv.slice(2);
+    const getArg = (name, fallback) => {
+        const idx = args.indexOf(name);
+        return idx !== -1 && args[idx + 1] ? args[idx + 1] : fallback;
+    };
+    const port = parseInt(
+        getArg('--port', process.env.MOCK_PORT || '5055'),
+        10,
+    );
+    const credsPath = getArg('--creds', null);
+
+    const server = createMockUpstream();
+    server.listen(port, '127.0.0.1', () => {
+        if (credsPath) {
+            const token = server.issueToken();
+            fs.writeFileSync(
+                path.resolve(credsPath),
+                JSON.stringify(
+                    {
+                        access_token: token.access_token,
+                        token_type: token.token_type,
+                        refresh_token: token.refresh_token,
+                        resource_url: token.resource_url,
+                        expiry_date: Date.now() + token.expires_in * 1000,
+                    },
+                    null,
+                    2,
+                ),
+                { mode: 0o600 },
+            );
+        }
+        console.log(`🧪 Mock Qwen upstream listening on ${server.baseUrl}`);
+        console.log(`
+  Point the router at it with:
+    QWEN_API_BASE_URL=${server.baseUrl}/v1
+    QWEN_OAUTH_TOKEN_ENDPOINT=${server.baseUrl}/api/v1/oauth2/token
+    QWEN_OAUTH_DEVICE_CODE_ENDPOINT=${server.baseUrl}/api/v1/oauth2/device/code${
+        credsPath ? `\n    CREDENTIALS_PATH=${path.resolve(credsPath)}` : ''
+    }
+`);
+    });
+}
+
+module.exports = { createMockUpstream };
@@ -2,67 +2,389 @@ require('dotenv').config();
 const express = require('express');
 const axios = require('axios');
 const fs = require('fs');
+const path = require('path');
 const crypto = require('crypto');
 const OpenAI = require('openai');
+const { AsyncLocalStorage } = require('async_hooks');
 
 const app = express();
 const https = require('https');
 
 // ─── Configuration ──────────────────────────────────────────────────────────
 
+// Integer setting where 0 is meaningful; unset, empty or invalid → fallback
+function envInt(name, fallback) {
+    const value = parseInt(process.env[name], 10);
+    return Number.isNaN(value) ? fallback : value;
+}
+
 const PORT = process.env.PORT || 4000;
-const CREDENTIALS_PATH = process.env.CREDENTIALS_PATH;
+const CREDENTIALS_PATH = process.env.CREDENTIALS_PATH; // Comma-separated for multiple accounts
+const CREDENTIALS_DIR = process.env.CREDENTIALS_DIR; // Every *.json inside is an account
 const ROUTER_API_KEY = process.env.ROUTER_API_KEY;
+const ADMIN_API_KEY = process.env.ADMIN_API_KEY; // Defaults to ROUTER_API_KEY
+const API_KEYS_PATH =
+    process.env.API_KEYS_PATH || path.join(__dirname, 'api-keys.json');
+const USAGE_LOG_PATH =
+    process.env.USAGE_LOG_PATH || path.join(__dirname, 'usage.jsonl');
 const SSL_KEY_PATH = process.env.SSL_KEY_PATH;
 const SSL_CERT_PATH = process.env.SSL_CERT_PATH;
 const DEFAULT_MODEL = process.env.DEFAULT_MODEL || 'coder-model';
+// Model catalog JSON (replaces the built-in list), plus optional merging of
+// the upstream's own /models list, cached for MODEL_DISCOVERY_TTL_MS
+const MODELS_PATH = process.env.MODELS_PATH || null;
+const MODEL_DISCOVERY = process.env.MODEL_DISCOVERY === 'true';
+const MODEL_DISCOVERY_TTL_MS =
+    parseInt(process.env.MODEL_DISCOVERY_TTL_MS, 10) || 3600000;
+// Fallback chains, e.g. "qwen3-coder-plus>coder-model>qwen3-coder-flash"
+// (comma-separated); overrides `fallbacks` from the model catalog
+const MODEL_FALLBACKS = process.env.MODEL_FALLBACKS || '';
 const RATE_LIMIT_RETRY_MS =
     parseInt(process.env.RATE_LIMIT_RETRY_MS, 10) || 10000;
 const MAX_RETRIES = parseInt(process.env.MAX_RETRIES, 10) || 3;
+// Background refresh this long before expiry; accounts re-checked at least this often
+const REFRESH_BUFFER_MS = parseInt(process.env.REFRESH_BUFFER_MS, 10) || 300000;
+const CHECK_INTERVAL_MS =
+    parseInt(process.env.CHECK_INTERVAL_MS, 10) || 1800000;
+const RESPONSES_STORE_LIMIT =
+    parseInt(process.env.RESPONSES_STORE_LIMIT, 10) || 1000;
+// round-robin | least-recently-limited | sticky
+const ACCOUNT_STRATEGY = process.env.ACCOUNT_STRATEGY || 'round-robin';
+// Clients remembered by the sticky strategy; the least recent are forgotten
+const STICKY_CLIENTS_LIMIT =
+    parseInt(process.env.STICKY_CLIENTS_LIMIT, 10) || 10000;
+const ACCOUNT_COOLDOWN_MS =
+    parseInt(process.env.ACCOUNT_COOLDOWN_MS, 10) || 60000;
+// Estimated tokens/minute across the router (0 = learn from 429s only)
+const TOKENS_PER_MINUTE = parseInt(process.env.TOKENS_PER_MINUTE, 10) || 0;
+// off | trim | collapse | summarize (per request: X-Context-Management)
+const CONTEXT_MANAGEMENT = process.env.CONTEXT_MANAGEMENT || 'off';
+const CONTEXT_KEEP_TURNS = envInt('CONTEXT_KEEP_TURNS', 4);
+const CONTEXT_WINDOW_TOKENS =
+    parseInt(process.env.CONTEXT_WINDOW_TOKENS, 10) || 0;
+const CONTEXT_SUMMARY_MODEL =
+    process.env.CONTEXT_SUMMARY_MODEL || 'qwen3-coder-flash';
+// Tool compaction: strip detail past this many schema chars (0 = off)
+const TOOL_SCHEMA_BUDGET = parseInt(process.env.TOOL_SCHEMA_BUDGET, 10) || 0;
+const TOOL_DEDUPE = process.env.TOOL_DEDUPE === 'true';
+// off | keywords | allowlist — send only tools relevant to the latest turn
+const TOOL_FILTER = process.env.TOOL_FILTER || 'off';
+const TOOL_FILTER_MAX = parseInt(process.env.TOOL_FILTER_MAX, 10) || 8;
+const TOOL_ALLOWLIST = (process.env.TOOL_ALLOWLIST || '')
+    .split(',')
+    .map((name) => name.trim())
+    .filter(Boolean);
+// passthrough | strip | think | field — how model reasoning reaches clients
+// (per key: reasoning_mode, per request: X-Reasoning-Mode)
+const REASONING_MODE = process.env.REASONING_MODE || 'passthrough';
+// debug | info | warn | error, and pretty | json output
+const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const LOG_FORMAT = process.env.LOG_FORMAT || 'pretty';
+const LOG_REDACT_CONTENT = process.env.LOG_REDACT_CONTENT === 'true';
+// off | record | replay — capture or serve upstream traffic from CASSETTE_DIR
+const CASSETTE_MODE = process.env.CASSETTE_MODE || 'off';
+const CASSETTE_DIR =
+    process.env.CASSETTE_DIR || path.join(__dirname, 'cassettes');
+const CASSETTE_REPLAY_TIMING = process.env.CASSETTE_REPLAY_TIMING !== 'false';
+// off | deterministic (temperature 0 only) | all — cache upstream responses
+// in an LRU of RESPONSE_CACHE_SIZE entries, and on disk with RESPONSE_CACHE_DIR
+const RESPONSE_CACHE = process.env.RESPONSE_CACHE || 'off';
+const RESPONSE_CACHE_SIZE =
+    parseInt(process.env.RESPONSE_CACHE_SIZE, 10) || 500;
+const RESPONSE_CACHE_TTL_MS =
+    parseInt(process.env.RESPONSE_CACHE_TTL_MS, 10) || 3600000;
+const RESPONSE_CACHE_DIR = process.env.RESPONSE_CACHE_DIR || null;
+// Streams that wait (queue, 429 backoff, token refresh) start early and send
+// a `: waiting` comment this often (0 = off), with the wait reason if STATUS
+const STREAM_KEEPALIVE_MS = envInt('STREAM_KEEPALIVE_MS', 15000);
+const STREAM_KEEPALIVE_STATUS = process.env.STREAM_KEEPALIVE_STATUS === 'true';
+// Upstream calls allowed in flight at once (0 = unlimited)
+const MAX_CONCURRENT_REQUESTS = envInt('MAX_CONCURRENT_REQUESTS', 4);
 
-// Qwen OAuth constants (from CLI source @ cli.js#L144567)
-const QWEN_OAUTH_TOKEN_ENDPOINT = 'https://chat.qwen.ai/api/v1/oauth2/token';
+// Qwen OAuth constants (from CLI source @ cli.js#L144567). The endpoints and
+// API base can be overridden to target another upstream, e.g. mock-upstream.js
+const QWEN_OAUTH_TOKEN_ENDPOINT =
+    process.env.QWEN_OAUTH_TOKEN_ENDPOINT ||
+    'https://chat.qwen.ai/api/v1/oauth2/token';
+const QWEN_OAUTH_DEVICE_CODE_ENDPOINT =
+    process.env.QWEN_OAUTH_DEVICE_CODE_ENDPOINT ||
+    'https://chat.qwen.ai/api/v1/oauth2/device/code';
+const QWEN_OAUTH_SCOPE = 'openid profile email model.completion';
 const QWEN_OAUTH_CLIENT_ID = 'f0304373b74a44d2b584a3fb70ca9e56';
 const DEFAULT_DASHSCOPE_BASE_URL =
     'https://dashscope.aliyuncs.com/compatible-mode/v1';
+const QWEN_API_BASE_URL = process.env.QWEN_API_BASE_URL || null; // Beats resource_url
 const CLI_VERSION = '0.10.1';
 
+// ─── Logging ────────────────────────────────────────────────────────────────
+// Leveled logger with `pretty` (the classic emoji console output) and `json`
+// (one object per line) formats. Lines logged while handling an HTTP request
+// carry its requestId via AsyncLocalStorage. Tokens and keys are always
+// redacted; message contents too with LOG_REDACT_CONTENT.
+
+const LOG_LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const logContext = new AsyncLocalStorage(); // { requestId } per HTTP request
+const SECRET_FIELDS = new Set([
+    'access_token',
+    'refresh_token',
+    'authorization',
+    'api_key',
+    'key',
+    'token',
+    'device_code',
+    'code_verifier',
+]);
+const CONTENT_FIELDS = new Set(['content', 'messages', 'prompt', 'input']);
+
+function redactText(text) {
+    return text
+        .replace(/(Bearer\s+)[\w.~+/=-]+/gi, '$1[REDACTED]')
+        .replace(/\bsk-[\w-]{8,}/g, 'sk-[REDACTED]');
+}
+
+function redact(value, depth = 0) {
+    if (typeof value === 'string') return redactText(value);
+    if (!value || typeof value !== 'object' || depth > 8) return value;
+    if (Array.isArray(value)) return value.map((v) => redact(v, depth + 1));
+    const result = {};
+    for (const [key, v] of Object.entries(value)) {
+        if (SECRET_FIELDS.has(key.toLowerCase()) && v) {
+            result[key] = '[REDACTED]';
+        } else if (LOG_REDACT_CONTENT && CONTENT_FIELDS.has(key) && v) {
+            const size =
+                typeof v === 'string' ? v.length : JSON.stringify(v).length;
+            result[key] = `[REDACTED ${size} chars]`;
+        } else {
+            result[key] = redact(v, depth + 1);
+        }
+    }
+    return result;
+}
+
+function writeLog(level, message, fields) {
+    if (LOG_LEVELS[level] < (LOG_LEVELS[LOG_LEVEL] ?? LOG_LEVELS.info)) return;
+    const requestId = logContext.getStore()?.requestId;
+    const safeFields = fields ? redact(fields) : null;
+    const stream = LOG_LEVELS[level] >= LOG_LEVELS.warn ? 'error' : 'log';
+
+    if (LOG_FORMAT === 'json') {
+        console[stream](
+            JSON.stringify({
+                time: new Date().toISOString(),
+                level,
+                // Drop the console decorations (indent, emoji, arrows)
+                msg: redactText(message)
+                    .replace(/^[\s\p{Extended_Pictographic}\uFE0F→•]+/u, '')
+                    .trimEnd(),
+                ...(requestId ? { requestId } : {}),
+                ...safeFields,
+            }),
+        );
+        return;
+    }
+    const details = safeFields
+        ? ` (${Object.entries(safeFields)
+              .map(
+                  ([k, v]) =>
+                      `${k}=${typeof v === 'string' ? v : JSON.stringify(v)}`,
+              )
+              .join(', ')})`
+        : '';
+    console[stream](`${redactText(message)}${details}`);
+}
+
+const log = {
+    debug: (message, fields) => writeLog('debug', message, fields),
+    info: (message, fields) => writeLog('info', message, fields),
+    warn: (message, fields) => writeLog('warn', message, fields),
+    error: (message, fields) => writeLog('error', message, fields),
+};
+
+// Tag every later log line of the current HTTP request with requestId
+function startRequestLog(requestId) {
+    const store = logContext.getStore();
+    if (store) store.requestId = requestId;
+    log.info(
+        LOG_FORMAT === 'json'
+            ? 'Request received'
+            : `\n[${new Date().toLocaleTimeString()}] Request ${requestId}`,
+    );
+}
+
 // Middleware
 app.use(express.json({ limit: '10mb' }));
+// Per-request log context (after the body parser, which loses async context)
+app.use((req, res, next) => logContext.run({ requestId: null }, next));
 
 // ─── OAuth Token Management ─────────────────────────────────────────────────
 // Matches CLI's SharedTokenManager (cli.js#L143666) + QwenOAuth2Client (cli.js#L144567)
+// Each account wraps one oauth_creds.json file and refreshes independently.
+
+const accounts = []; // Credential pool, one entry per OAuth credential file
+let roundRobinIndex = 0;
+const stickyAccounts = new Map(); // clientKey → account id, oldest use first
+
+// Cross-process lock timing (SharedTokenManager, cli.js#L143666)
+const CREDENTIAL_LOCK_STALE_MS = 10000;
+const CREDENTIAL_LOCK_RETRY_MS = 100;
+const CREDENTIAL_LOCK_ATTEMPTS = 150;
+
+function resolveCredentialPaths() {
+    const paths = [];
+    if (CREDENTIALS_PATH) {
+        for (const p of CREDENTIALS_PATH.split(',')) {
+            if (p.trim()) paths.push(p.trim());
+        }
+    }
+    if (CREDENTIALS_DIR) {
+        try {
+            for (const file of fs.readdirSync(CREDENTIALS_DIR).sort()) {
+                if (file.endsWith('.json')) {
+                    paths.push(path.join(CREDENTIALS_DIR, file));
+                }
+            }
+        } catch (e) {
+            log.warn('⚠️ Failed to read credentials dir', { error: e.message });
+        }
+    }
+    return [...new Set(paths.map((p) => path.resolve(p)))];
+}
+
+function loadAccounts() {
+    accounts.length = 0;
+    for (const credPath of resolveCredentialPaths()) addAccount(credPath);
+    // Replay works offline without any credential file
+    if (CASSETTE_MODE === 'replay' && accounts.length === 0) {
+        addAccount(path.join(CASSETTE_DIR, 'replay.json'));
+    }
+    return accounts;
+}
+
+function addAccount(credPath) {
+    const account = createAccount(credPath);
+    accounts.push(account);
+    return account;
+}
 
-let credentials = null; // Full credential object
-let refreshLock = null; // Prevent concurrent refresh
+// Account record that is not in the pool yet (see addAccount)
+function createAccount(credPath) {
+    let id = path.basename(credPath, '.json');
+    if (accounts.some((a) => a.id === id)) id = `${id}-${accounts.length}`;
+    return {
+        id,
+        path: credPath,
+        credentials: null, // Full credential object
+        refreshLock: null, // Prevent concurrent refresh
+        fileMtimeMs: 0,
+        cooldownUntil: 0, // Out of rotation until (429)
+        lastLimitedAt: 0,
+        lastUsedAt: 0,
+        revoked: false, // Refresh token rejected
+        lastError: null,
+        requestCount: 0,
+        rateLimitCount: 0,
+        refreshTimer: null, // Proactive refresh
+        nextRefreshAt: 0,
+        refreshFailures: 0,
+        lastRefreshAt: 0,
+        lastRefreshResult: null, // refreshed | reused | failed
+    };
+}
 
-function readCredentials() {
+function readCredentials(account) {
     try {
-        if (!CREDENTIALS_PATH || !fs.existsSync(CREDENTIALS_PATH)) return null;
-        credentials = JSON.parse(fs.readFileSync(CREDENTIALS_PATH, 'utf-8'));
-        return credentials;
+        if (!account?.path || !fs.existsSync(account.path)) return null;
+        account.credentials = JSON.parse(
+            fs.readFileSync(account.path, 'utf-8'),
+        );
+        account.fileMtimeMs = fs.statSync(account.path).mtimeMs;
+        return account.credentials;
     } catch (e) {
-        console.error('⚠️ Failed to read credentials:', e.message);
+        log.warn(`⚠️ Failed to read credentials [${account?.id}]`, {
+            error: e.message,
+        });
         return null;
     }
 }
 
-function writeCredentials(creds) {
+// Atomic replace so other processes never read a half-written file.
+// Returns false if the file could not be written.
+function writeCredentials(account, creds) {
+    const tmpPath = `${account.path}.tmp.${crypto.randomUUID()}`;
     try {
-        fs.writeFileSync(
-            CREDENTIALS_PATH,
-            JSON.stringify(creds, null, 2),
-            'utf-8',
-        );
-        credentials = creds;
-        console.log('  ✅ Credentials saved to', CREDENTIALS_PATH);
+        fs.writeFileSync(tmpPath, JSON.stringify(creds, null, 2), {
+            encoding: 'utf-8',
+            mode: 0o600,
+        });
+        fs.renameSync(tmpPath, account.path);
+        account.credentials = creds;
+        account.fileMtimeMs = fs.statSync(account.path).mtimeMs;
+        log.info(`  ✅ Credentials saved to ${account.path}`);
+        return true;
     } catch (e) {
-        console.error('⚠️ Failed to write credentials:', e.message);
+        fs.rmSync(tmpPath, { force: true });
+        log.warn(`⚠️ Failed to write credentials [${account.id}]`, {
+            error: e.message,
+        });
+        return false;
+    }
+}
+
+// Lock file shared with the Qwen CLI (oauth_creds.json → oauth_creds.lock),
+// so only one process refreshes a credential file at a time. The holder keeps
+// touching the lock, so a refresh slower than CREDENTIAL_LOCK_STALE_MS is not
+// mistaken for a crashed process.
+async function acquireCredentialLock(account) {
+    const lockPath = `${account.path.replace(/\.json$/, '')}.lock`;
+    const lockId = crypto.randomUUID();
+    for (let attempt = 0; attempt < CREDENTIAL_LOCK_ATTEMPTS; attempt++) {
+        try {
+            fs.writeFileSync(lockPath, lockId, { flag: 'wx' });
+            const heartbeat = setInterval(() => {
+                try {
+                    if (fs.readFileSync(lockPath, 'utf-8') === lockId) {
+                        const now = new Date();
+                        fs.utimesSync(lockPath, now, now);
+                    }
+                } catch (e) {
+                    // Removed; release() finds out
+                }
+            }, CREDENTIAL_LOCK_STALE_MS / 4);
+            heartbeat.unref();
+            return () => {
+                clearInterval(heartbeat);
+                try {
+                    if (fs.readFileSync(lockPath, 'utf-8') === lockId) {
+                        fs.unlinkSync(lockPath);
+                    }
+                } catch (e) {
+                    // Already removed as stale
+                }
+            };
+        } catch (e) {
+            if (e.code !== 'EEXIST') throw e;
+        }
+        // Break locks left behind by a crashed process
+        try {
+            const age = Date.now() - fs.statSync(lockPath).mtimeMs;
+            if (age > CREDENTIAL_LOCK_STALE_MS) {
+                fs.unlinkSync(lockPath);
+                continue;
+            }
+        } catch (e) {
+            continue; // Lock released between the two calls
+        }
+        await new Promise((resolve) =>
+            setTimeout(resolve, CREDENTIAL_LOCK_RETRY_MS),
+        );
     }
+    throw new Error(`Timed out waiting for credential lock ${lockPath}`);
 }
 
-function getAccessToken() {
-    if (!credentials) readCredentials();
+function getAccessToken(account) {
+    if (!account) return null;
+    if (!account.credentials) readCredentials(account);
+    const credentials = account.credentials;
     if (!credentials) return null;
 
     // Check if token needs refresh (5 min buffer, matches CLI cli.js#L144810)
@@ -77,9 +399,10 @@ function getAccessToken() {
 // Resolve API base URL from resource_url in credentials
 // Matches CLI logic at cli.js#L144783:
 //   getCurrentEndpoint(resourceUrl) → normalize to https://...../v1
-function getApiBaseUrl() {
-    if (!credentials) readCredentials();
-    const resourceUrl = credentials?.resource_url;
+function getApiBaseUrl(account) {
+    if (QWEN_API_BASE_URL) return QWEN_API_BASE_URL;
+    if (account && !account.credentials) readCredentials(account);
+    const resourceUrl = account?.credentials?.resource_url;
     if (!resourceUrl) return DEFAULT_DASHSCOPE_BASE_URL;
     const normalized = resourceUrl.startsWith('http')
         ? resourceUrl
@@ -89,19 +412,45 @@ function getApiBaseUrl() {
 
 // Direct OAuth token refresh via HTTP (replaces CLI spawn)
 // Matches cli.js#L144687-L144728
-async function refreshToken() {
-    // Prevent concurrent refreshes
-    if (refreshLock) return refreshLock;
+async function refreshToken(account) {
+    if (!account) return null;
+    // Replay never reaches the network; any (even expired) token will do
+    if (CASSETTE_MODE === 'replay') {
+        return account.credentials?.access_token || 'replay';
+    }
+    // Prevent concurrent refreshes of the same account
+    if (account.refreshLock) return account.refreshLock;
 
-    refreshLock = (async () => {
+    account.refreshLock = (async () => {
+        // Another process (e.g. the Qwen CLI) may rotate the token while we
+        // wait for the lock — its refresh token then replaces ours
+        const previousToken = account.credentials?.access_token;
+        let releaseLock = null;
         try {
-            if (!credentials) readCredentials();
+            releaseLock = await acquireCredentialLock(account);
+            readCredentials(account);
+            const diskToken = getAccessToken(account);
+            if (diskToken && diskToken !== previousToken) {
+                log.info(
+                    `  ♻️ Token already refreshed by another process [${account.id}]`,
+                );
+                account.revoked = false;
+                account.lastError = null;
+                recordRefreshResult(account, 'reused');
+                return diskToken;
+            }
+
+            const credentials = account.credentials;
             if (!credentials?.refresh_token) {
-                console.error('⚠️ No refresh token available. Run: qwen login');
+                log.warn(
+                    `⚠️ No refresh token available [${account.id}]. Run: node server.js login ${account.id}`,
+                );
+                markAccountRevoked(account, 'No refresh token');
+                recordRefreshResult(account, 'failed');
                 return null;
             }
 
-            console.log('🔄 Refreshing OAuth token directly...');
+            log.info(`🔄 Refreshing OAuth token directly [${account.id}]...`);
 
             const response = await axios({
                 method: 'POST',
@@ -129,56 +478,541 @@ async function refreshToken() {
                 expiry_date: Date.now() + (tokenData.expires_in || 3600) * 1000,
             };
 
-            writeCredentials(newCreds);
-            console.log(
+            const saved = writeCredentials(account, newCreds);
+            if (!saved) {
+                // The old refresh token is spent — keep the new one in memory
+                account.credentials = newCreds;
+            }
+            account.revoked = false;
+            account.lastError = saved
+                ? null
+                : `Refreshed token could not be saved to ${account.path}`;
+            recordRefreshResult(account, 'refreshed');
+            log.info(
                 `  ✅ Token refreshed. Expires: ${new Date(newCreds.expiry_date).toISOString()}`,
             );
             return newCreds.access_token;
         } catch (e) {
             const status = e.response?.status;
             const errMsg = e.response?.data?.error_description || e.message;
-            console.error(`⚠️ Token refresh failed (${status}): ${errMsg}`);
+            log.warn(
+                `⚠️ Token refresh failed [${account.id}] (${status}): ${errMsg}`,
+            );
+            account.lastError = errMsg;
 
             // If refresh token is revoked/expired, user must re-login
             if (status === 400 || status === 401) {
-                console.error(
-                    '❌ Refresh token expired. Please run: qwen login',
+                log.error(
+                    `❌ Refresh token expired. Please run: node server.js login ${account.id} (or POST /admin/login)`,
                 );
+                markAccountRevoked(account, errMsg);
             }
+            recordRefreshResult(account, 'failed');
             return null;
         } finally {
-            refreshLock = null;
+            if (releaseLock) releaseLock();
+            account.refreshLock = null;
         }
     })();
 
-    return refreshLock;
+    return account.refreshLock;
 }
 
 // Get a valid token, refreshing if needed
-async function ensureValidToken() {
-    let token = getAccessToken();
+async function ensureValidToken(account) {
+    let token = getAccessToken(account);
     if (token) return token;
 
     // Token expired → refresh
-    token = await refreshToken();
+    token = await refreshToken(account);
     return token;
 }
 
 async function checkAuthStatus() {
-    try {
-        readCredentials();
-        if (!credentials?.access_token) {
-            console.error('⚠️ No credentials found at:', CREDENTIALS_PATH);
+    let validCount = 0;
+    for (const account of accounts) {
+        try {
+            readCredentials(account);
+            const credentials = account.credentials;
+            if (!credentials?.access_token) {
+                log.warn('⚠️ No credentials found at', { path: account.path });
+                continue;
+            }
+            const now = Date.now();
+            if (now >= (credentials.expiry_date || 0) - 300000) {
+                log.info(
+                    `  Token expires soon [${account.id}], pre-refreshing...`,
+                );
+                await refreshToken(account);
+            }
+            if (account.credentials?.access_token && !account.revoked) {
+                validCount++;
+            }
+        } catch (error) {
+            // Keep checking the remaining accounts
+        }
+    }
+    return validCount;
+}
+
+// Reload credential files rewritten by other processes without a restart.
+// Directories are watched (atomic renames replace the watched file's inode);
+// new *.json files in CREDENTIALS_DIR join the pool.
+function watchCredentials() {
+    const dirs = new Set(accounts.map((a) => path.dirname(a.path)));
+    if (CREDENTIALS_DIR) dirs.add(path.resolve(CREDENTIALS_DIR));
+    const pending = new Map(); // path → debounce timer
+
+    const reload = (credPath) => {
+        pending.delete(credPath);
+        const account = accounts.find((a) => a.path === credPath);
+        let mtimeMs;
+        try {
+            mtimeMs = fs.statSync(credPath).mtimeMs;
+        } catch (e) {
+            // Removed — stop serving from the cached credentials
+            if (account && !account.revoked) {
+                markAccountRevoked(account, 'Credential file removed');
+                log.info(`  ➖ Account ${account.id} credential file removed`);
+            }
+            return;
+        }
+
+        if (!account) {
+            if (
+                !CREDENTIALS_DIR ||
+                path.dirname(credPath) !== path.resolve(CREDENTIALS_DIR)
+            ) {
+                return;
+            }
+            const added = addAccount(credPath);
+            readCredentials(added);
+            scheduleTokenRefresh(added);
+            log.info(`  ➕ Account ${added.id} added from ${credPath}`);
+            return;
+        }
+        if (mtimeMs === account.fileMtimeMs) return; // Our own write
+        if (!readCredentials(account)) return;
+        log.info(`  ♻️ Credentials for ${account.id} changed on disk`);
+        if (account.revoked) {
+            account.revoked = false;
+            account.lastError = null;
+        }
+        scheduleTokenRefresh(account);
+    };
+
+    for (const dir of dirs) {
+        if (!fs.existsSync(dir)) continue;
+        try {
+            const watcher = fs.watch(dir, (event, file) => {
+                if (!file || !file.endsWith('.json')) return;
+                const credPath = path.join(dir, file);
+                clearTimeout(pending.get(credPath));
+                pending.set(
+                    credPath,
+                    setTimeout(() => reload(credPath), 100),
+                );
+            });
+            watcher.unref();
+        } catch (e) {
+            log.warn(`⚠️ Cannot watch ${dir} for credential changes`, {
+                error: e.message,
+            });
+        }
+    }
+}
+
+// ─── Proactive Token Refresh ────────────────────────────────────────────────
+// Each account has a timer that refreshes its token REFRESH_BUFFER_MS before
+// expiry_date, so the first request after an idle period doesn't wait for it.
+// Failed refreshes retry with exponential backoff; every account is looked at
+// at least once per CHECK_INTERVAL_MS.
+
+const REFRESH_RETRY_BASE_MS = 30000;
+
+function recordRefreshResult(account, result) {
+    account.lastRefreshAt = Date.now();
+    account.lastRefreshResult = result;
+    incCounter('qwen_router_token_refreshes_total', {
+        account: account.id,
+        result,
+    });
+}
+
+function refreshDueInMs(account) {
+    const expiry = account.credentials?.expiry_date || 0;
+    return expiry - REFRESH_BUFFER_MS - Date.now();
+}
+
+function scheduleTokenRefresh(account, delayMs = refreshDueInMs(account)) {
+    clearTimeout(account.refreshTimer);
+    delayMs = Math.min(Math.max(delayMs, 0), CHECK_INTERVAL_MS);
+    account.nextRefreshAt = Date.now() + delayMs;
+    account.refreshTimer = setTimeout(
+        () => runScheduledRefresh(account),
+        delayMs,
+    );
+    account.refreshTimer.unref();
+}
+
+async function runScheduledRefresh(account) {
+    account.refreshTimer = null;
+    // Revoked accounts wait for a new login (picked up by the file watcher)
+    if (account.revoked) {
+        return scheduleTokenRefresh(account, CHECK_INTERVAL_MS);
+    }
+    // Refreshed in the meantime, on the request path or by another process
+    if (refreshDueInMs(account) > 0) {
+        account.refreshFailures = 0;
+        return scheduleTokenRefresh(account);
+    }
+
+    log.info(`⏰ Scheduled token refresh [${account.id}]`);
+    if (await refreshToken(account)) {
+        account.refreshFailures = 0;
+        // A buffer longer than the token lifetime must not refresh in a loop
+        scheduleTokenRefresh(
+            account,
+            Math.max(refreshDueInMs(account), REFRESH_RETRY_BASE_MS),
+        );
+    } else if (account.revoked) {
+        scheduleTokenRefresh(account, CHECK_INTERVAL_MS);
+    } else {
+        const delayMs = REFRESH_RETRY_BASE_MS * 2 ** account.refreshFailures;
+        account.refreshFailures++;
+        log.info(
+            `  ⏳ Token refresh retry [${account.id}] in ${(Math.min(delayMs, CHECK_INTERVAL_MS) / 1000).toFixed(0)}s`,
+        );
+        scheduleTokenRefresh(account, delayMs);
+    }
+}
+
+function describeTokenRefresh(account) {
+    return {
+        last_at: account.lastRefreshAt
+            ? new Date(account.lastRefreshAt).toISOString()
+            : null,
+        last_result: account.lastRefreshResult,
+        next_at: account.refreshTimer
+            ? new Date(account.nextRefreshAt).toISOString()
+            : null,
+        failures: account.refreshFailures,
+    };
+}
+
+// ─── Account Rotation ───────────────────────────────────────────────────────
+// Accounts that hit 429 sit out a cooldown; accounts whose refresh token was
+// rejected stay out until their credential file changes (e.g. a new login).
+
+function markAccountLimited(account, retryAfterMs) {
+    const now = Date.now();
+    account.lastLimitedAt = now;
+    account.rateLimitCount++;
+    account.cooldownUntil = now + (retryAfterMs || ACCOUNT_COOLDOWN_MS);
+    log.info(
+        `  🧊 Account ${account.id} cooling down for ${((account.cooldownUntil - now) / 1000).toFixed(0)}s`,
+    );
+}
+
+function markAccountRevoked(account, reason) {
+    account.revoked = true;
+    account.lastError = reason || 'Refresh token revoked';
+}
+
+function isAccountAvailable(account, now = Date.now()) {
+    if (account.revoked) {
+        // Recover once the credential file has been rewritten
+        try {
+            const mtimeMs = fs.statSync(account.path).mtimeMs;
+            if (mtimeMs === account.fileMtimeMs) return false;
+            readCredentials(account);
+            account.revoked = false;
+            account.lastError = null;
+            log.info(
+                `  ♻️ Account ${account.id} credentials changed, re-enabled`,
+            );
+        } catch (e) {
             return false;
         }
-        const now = Date.now();
-        if (now >= (credentials.expiry_date || 0) - 300000) {
-            console.log('  Token expires soon, pre-refreshing...');
-            await refreshToken();
+    }
+    return account.cooldownUntil <= now;
+}
+
+// Pick an account for a request according to ACCOUNT_STRATEGY.
+// Returns null when every account is cooling down (unless ignoreCooldown)
+// or revoked.
+function selectAccount({ clientKey, exclude, ignoreCooldown } = {}) {
+    const now = Date.now();
+    const candidates = accounts.filter(
+        (a) =>
+            !exclude?.has(a) &&
+            isAccountAvailable(a, ignoreCooldown ? Infinity : now),
+    );
+    if (candidates.length === 0) return null;
+
+    let account;
+    if (ACCOUNT_STRATEGY === 'sticky' && clientKey) {
+        const stickyId = stickyAccounts.get(clientKey);
+        account = candidates.find((a) => a.id === stickyId);
+    }
+    if (!account && ACCOUNT_STRATEGY !== 'round-robin') {
+        // least-recently-limited (also the fallback for sticky)
+        account = candidates.reduce((best, a) =>
+            a.lastLimitedAt < best.lastLimitedAt ||
+            (a.lastLimitedAt === best.lastLimitedAt &&
+                a.lastUsedAt < best.lastUsedAt)
+                ? a
+                : best,
+        );
+    }
+    if (!account) {
+        // round-robin over the full pool, skipping unavailable accounts
+        for (let i = 0; i < accounts.length; i++) {
+            const candidate = accounts[(roundRobinIndex + i) % accounts.length];
+            if (candidates.includes(candidate)) {
+                account = candidate;
+                roundRobinIndex =
+                    (accounts.indexOf(candidate) + 1) % accounts.length;
+                break;
+            }
         }
-        return !!credentials?.access_token;
-    } catch (error) {
-        return false;
+    }
+
+    if (ACCOUNT_STRATEGY === 'sticky' && clientKey) {
+        // Re-insert so the Map stays in order of last use
+        stickyAccounts.delete(clientKey);
+        stickyAccounts.set(clientKey, account.id);
+        while (stickyAccounts.size > STICKY_CLIENTS_LIMIT) {
+            stickyAccounts.delete(stickyAccounts.keys().next().value);
+        }
+    }
+    account.lastUsedAt = now;
+    return account;
+}
+
+function describeAccount(account) {
+    const now = Date.now();
+    let status = 'active';
+    if (account.revoked) status = 'revoked';
+    else if (account.cooldownUntil > now) status = 'rate_limited';
+    else if (!getAccessToken(account)) status = 'needs_refresh';
+    return {
+        id: account.id,
+        path: account.path,
+        status,
+        token_expires: account.credentials?.expiry_date
+            ? new Date(account.credentials.expiry_date).toISOString()
+            : null,
+        cooldown_until:
+            account.cooldownUntil > now
+                ? new Date(account.cooldownUntil).toISOString()
+                : null,
+        last_limited: account.lastLimitedAt
+            ? new Date(account.lastLimitedAt).toISOString()
+            : null,
+        api_base: getApiBaseUrl(account),
+        requests: account.requestCount,
+        rate_limits: account.rateLimitCount,
+        last_error: account.lastError,
+        refresh: describeTokenRefresh(account),
+    };
+}
+
+// ─── OAuth Device Login ─────────────────────────────────────────────────────
+// Qwen OAuth device authorization with PKCE (QwenOAuth2Client, cli.js#L144567):
+// request a device code, let the user approve it in a browser, then poll the
+// token endpoint. Used by `node server.js login` and POST /admin/login.
+
+const deviceLogins = new Map(); // login id → pending/finished device login
+const DEVICE_LOGIN_HISTORY = 20;
+
+// Account to log in: a pool account id, a file name inside CREDENTIALS_DIR,
+// or (CLI only, with allowPath) any credential path; without a target the
+// first revoked (or first) pool account, else the Qwen CLI's default file.
+// Returns null for a target that is none of these. New accounts join the pool
+// only once their login succeeds.
+function resolveLoginAccount(target, { allowPath = false } = {}) {
+    let credPath;
+    if (target) {
+        const byId = accounts.find((a) => a.id === target);
+        if (byId) return byId;
+        if (allowPath) {
+            credPath = path.resolve(target);
+        } else if (CREDENTIALS_DIR && /^[\w-][\w.-]*$/.test(target)) {
+            const file = target.endsWith('.json') ? target : `${target}.json`;
+            credPath = path.resolve(CREDENTIALS_DIR, file);
+        } else {
+            return null;
+        }
+    } else {
+        const existing = accounts.find((a) => a.revoked) || accounts[0];
+        if (existing) return existing;
+        credPath = path.join(
+            require('os').homedir(),
+            '.qwen',
+            'oauth_creds.json',
+        );
+    }
+    return accounts.find((a) => a.path === credPath) || createAccount(credPath);
+}
+
+// Starts a device login; `login.done` settles once it succeeds or fails
+async function startDeviceLogin(account) {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const codeChallenge = crypto
+        .createHash('sha256')
+        .update(codeVerifier)
+        .digest('base64url');
+
+    const response = await axios({
+        method: 'POST',
+        url: QWEN_OAUTH_DEVICE_CODE_ENDPOINT,
+        headers: {
+            'Content-Type': 'application/x-www-form-urlencoded',
+            Accept: 'application/json',
+            'x-request-id': crypto.randomUUID(),
+        },
+        data: new URLSearchParams({
+            client_id: QWEN_OAUTH_CLIENT_ID,
+            scope: QWEN_OAUTH_SCOPE,
+            code_challenge: codeChallenge,
+            code_challenge_method: 'S256',
+        }).toString(),
+        timeout: 30000,
+    });
+
+    const device = response.data;
+    if (!device?.device_code) {
+        throw new Error(
+            device?.error_description ||
+                device?.error ||
+                'Device authorization failed',
+        );
+    }
+
+    const login = {
+        id: `login_${crypto.randomBytes(8).toString('hex')}`,
+        account,
+        userCode: device.user_code,
+        verificationUri: device.verification_uri,
+        verificationUriComplete: device.verification_uri_complete,
+        expiresAt: Date.now() + (device.expires_in || 600) * 1000,
+        status: 'pending',
+        error: null,
+        done: null,
+    };
+    login.done = pollDeviceToken(login, device, codeVerifier);
+
+    deviceLogins.set(login.id, login);
+    while (deviceLogins.size > DEVICE_LOGIN_HISTORY) {
+        deviceLogins.delete(deviceLogins.keys().next().value);
+    }
+    return login;
+}
+
+async function pollDeviceToken(login, device, codeVerifier) {
+    let intervalMs = (device.interval || 2) * 1000;
+    try {
+        while (Date.now() < login.expiresAt) {
+            await new Promise((resolve) => setTimeout(resolve, intervalMs));
+            let tokenData;
+            try {
+                const response = await axios({
+                    method: 'POST',
+                    url: QWEN_OAUTH_TOKEN_ENDPOINT,
+                    headers: {
+                        'Content-Type': 'application/x-www-form-urlencoded',
+                        Accept: 'application/json',
+                    },
+                    data: new URLSearchParams({
+                        grant_type:
+                            'urn:ietf:params:oauth:grant-type:device_code',
+                        client_id: QWEN_OAUTH_CLIENT_ID,
+                        device_code: device.device_code,
+                        code_verifier: codeVerifier,
+                    }).toString(),
+                    timeout: 30000,
+                });
+                tokenData = response.data;
+            } catch (e) {
+                const error = e.response?.data?.error;
+                if (error === 'authorization_pending') continue;
+                if (error === 'slow_down' || e.response?.status === 429) {
+                    intervalMs = Math.min(intervalMs * 1.5, 10000);
+                    continue;
+                }
+                throw new Error(
+                    e.response?.data?.error_description || error || e.message,
+                );
+            }
+            if (!tokenData?.access_token) continue;
+
+            const account = login.account;
+            fs.mkdirSync(path.dirname(account.path), { recursive: true });
+            const saved = writeCredentials(account, {
+                access_token: tokenData.access_token,
+                token_type: tokenData.token_type || 'Bearer',
+                refresh_token: tokenData.refresh_token,
+                resource_url: tokenData.resource_url,
+                expiry_date: Date.now() + (tokenData.expires_in || 3600) * 1000,
+            });
+            if (!saved) {
+                throw new Error(
+                    `Could not save credentials to ${account.path}`,
+                );
+            }
+            account.revoked = false;
+            account.lastError = null;
+            if (!accounts.includes(account)) {
+                accounts.push(account);
+                log.info(`  ➕ Account ${account.id} added to the pool`);
+            }
+            login.status = 'success';
+            scheduleTokenRefresh(account);
+            log.info(`  ✅ OAuth login complete [${account.id}]`);
+            return login;
+        }
+        throw new Error('Device code expired before it was authorized');
+    } catch (e) {
+        login.status = 'error';
+        login.error = e.message;
+        log.warn(`⚠️ OAuth login failed [${login.account.id}]: ${e.message}`);
+        return login;
+    }
+}
+
+function describeDeviceLogin(login) {
+    return {
+        id: login.id,
+        account: login.account.id,
+        path: login.account.path,
+        status: login.status,
+        user_code: login.userCode,
+        verification_uri: login.verificationUri,
+        verification_uri_complete: login.verificationUriComplete,
+        expires_at: new Date(login.expiresAt).toISOString(),
+        error: login.error,
+    };
+}
+
+// `node server.js login [account id | credential path]`
+async function runLoginCommand(target) {
+    loadAccounts();
+    const account = resolveLoginAccount(target, { allowPath: true });
+    log.info(`🔐 Qwen OAuth login [${account.id}] → ${account.path}`);
+    try {
+        const login = await startDeviceLogin(account);
+        console.log(`
+  Open this URL in a browser and approve the login:
+    ${login.verificationUriComplete || login.verificationUri}
+  User code: ${login.userCode}
+
+  Waiting for authorization...`);
+        await login.done;
+        process.exit(login.status === 'success' ? 0 : 1);
+    } catch (e) {
+        log.error(`❌ Could not start OAuth login: ${e.message}`);
+        process.exit(1);
     }
 }
 
@@ -189,8 +1023,8 @@ function buildUserAgent() {
     return `QwenCode/${CLI_VERSION} (${process.platform}; ${process.arch})`;
 }
 
-function createOpenAIClient(token) {
-    const baseURL = getApiBaseUrl();
+function createOpenAIClient(account, token) {
+    const baseURL = getApiBaseUrl(account);
     const userAgent = buildUserAgent();
 
     return new OpenAI({
@@ -198,6 +1032,7 @@ function createOpenAIClient(token) {
         baseURL: baseURL,
         timeout: 120000, // 2 min (matches CLI: DEFAULT_TIMEOUT = 120000)
         maxRetries: 0, // Disable SDK retries — we handle 429 retry ourselves
+        fetch: getUpstreamFetch(),
         defaultHeaders: {
             // DashScope headers (cli.js#L141522-L141533)
             'User-Agent': userAgent,
@@ -208,55 +1043,554 @@ function createOpenAIClient(token) {
     });
 }
 
-// ─── Session Management ─────────────────────────────────────────────────────
+// ─── Record & Replay ────────────────────────────────────────────────────────
+// CASSETTE_MODE=record saves every upstream request/response pair (auth
+// headers stripped, SSE chunks with their timing) as JSON in CASSETTE_DIR.
+// CASSETTE_MODE=replay serves matching requests from those files without any
+// network access. Requests match on method, endpoint and body; the per-request
+// `metadata` (random promptId) is ignored.
 
-const SESSION_ID = crypto.randomUUID();
+const CASSETTE_SECRET_HEADERS = new Set([
+    'authorization',
+    'api-key',
+    'x-api-key',
+    'cookie',
+    'set-cookie',
+]);
 
-function sleep(ms) {
-    return new Promise((resolve) => setTimeout(resolve, ms));
+// JSON with sorted keys, so equal bodies always produce the same cassette key
+function stableStringify(value) {
+    if (Array.isArray(value))
+        return `[${value.map(stableStringify).join(',')}]`;
+    if (!value || typeof value !== 'object') return JSON.stringify(value);
+    return `{${Object.keys(value)
+        .sort()
+        .filter((key) => value[key] !== undefined)
+        .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+        .join(',')}}`;
 }
 
-// ─── DashScope Prompt Caching ───────────────────────────────────────────────
-// The CLI adds cache_control annotations to optimize DashScope prompt caching
-// (cli.js#L141610-L141650). This reduces repeated prompt processing costs.
+function describeCassetteRequest(url, init = {}) {
+    let body = null;
+    try {
+        body = init.body ? JSON.parse(init.body) : null;
+    } catch (e) {
+        body = String(init.body);
+    }
+    const isObject = body && typeof body === 'object';
+    const { metadata, ...matchBody } = isObject ? body : {};
+    const method = (init.method || 'GET').toUpperCase();
+    // Endpoint relative to the API base, so the account's resource_url
+    // (host or /compatible-mode prefix) doesn't change the key
+    const endpoint = new URL(String(url)).pathname.replace(/^.*\/v1\//, '/');
+    const key = crypto
+        .createHash('sha256')
+        .update(
+            `${method} ${endpoint} ${stableStringify(isObject ? matchBody : body)}`,
+        )
+        .digest('hex')
+        .slice(0, 24);
 
-function addCacheControl(messages, tools, isStreaming) {
-    if (!isStreaming) return { messages, tools };
+    const headers = {};
+    for (const [name, value] of new Headers(init.headers || {})) {
+        if (!CASSETTE_SECRET_HEADERS.has(name)) headers[name] = value;
+    }
+    return { key, method, url: String(url), headers, body };
+}
 
-    const msgsCopy = messages.map((m) => ({ ...m }));
-    const toolsCopy = tools ? tools.map((t) => ({ ...t })) : undefined;
+function cassettePath(key) {
+    return path.join(CASSETTE_DIR, `${key}.json`);
+}
 
-    // Add cache_control to system message content
-    for (const msg of msgsCopy) {
-        if (msg.role === 'system') {
-            if (typeof msg.content === 'string') {
-                msg.content = [
-                    {
-                        type: 'text',
-                        text: msg.content,
-                        cache_control: { type: 'ephemeral' },
-                    },
-                ];
-            } else if (Array.isArray(msg.content) && msg.content.length > 0) {
-                msg.content = msg.content.map((part, i) =>
-                    i === 0
-                        ? { ...part, cache_control: { type: 'ephemeral' } }
-                        : part,
-                );
-            }
-            break; // Only first system message
+function saveCassette(cassette) {
+    try {
+        fs.mkdirSync(CASSETTE_DIR, { recursive: true });
+        fs.writeFileSync(
+            cassettePath(cassette.key),
+            JSON.stringify(cassette, null, 2),
+        );
+        log.debug(`  📼 Recorded cassette ${cassette.key}`);
+    } catch (e) {
+        log.warn('⚠️ Failed to save cassette', { error: e.message });
+    }
+}
+
+// Passes the live response through while copying each chunk and its delay
+async function recordingFetch(url, init) {
+    const request = describeCassetteRequest(url, init);
+    const startedAt = Date.now();
+    const response = await fetch(url, init);
+
+    // fetch already decoded the body, so drop encoding and length headers
+    const responseHeaders = {};
+    for (const [name, value] of response.headers) {
+        if (
+            !CASSETTE_SECRET_HEADERS.has(name) &&
+            !['content-encoding', 'content-length'].includes(name)
+        ) {
+            responseHeaders[name] = value;
         }
     }
+    const cassette = {
+        key: request.key,
+        recorded_at: new Date().toISOString(),
+        request: {
+            method: request.method,
+            url: request.url,
+            headers: request.headers,
+            body: request.body,
+        },
+        response: {
+            status: response.status,
+            headers: responseHeaders,
+            headers_ms: Date.now() - startedAt,
+            chunks: [], // { delay_ms, data } — delay since the previous chunk
+        },
+    };
+    if (!response.body) {
+        saveCassette(cassette);
+        return response;
+    }
 
-    // Add cache_control to last user message content
-    for (let i = msgsCopy.length - 1; i >= 0; i--) {
-        if (msgsCopy[i].role === 'user') {
-            const msg = msgsCopy[i];
-            if (typeof msg.content === 'string') {
-                msg.content = [
-                    {
-                        type: 'text',
-                        text: msg.content,
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let lastAt = Date.now();
+    const body = new ReadableStream({
+        async pull(controller) {
+            const { done, value } = await reader.read();
+            if (done) {
+                saveCassette(cassette);
+                controller.close();
+                return;
+            }
+            const now = Date.now();
+            cassette.response.chunks.push({
+                delay_ms: now - lastAt,
+                data: decoder.decode(value, { stream: true }),
+            });
+            lastAt = now;
+            controller.enqueue(value);
+        },
+        cancel(reason) {
+            cassette.response.cancelled = true;
+            saveCassette(cassette);
+            return reader.cancel(reason);
+        },
+    });
+    return new Response(body, {
+        status: response.status,
+        statusText: response.statusText,
+        headers: response.headers,
+    });
+}
+
+// Aborted replays reject like a live fetch, so cancels behave the same offline
+function cassetteAbortError() {
+    return new DOMException('This operation was aborted', 'AbortError');
+}
+
+async function replayFetch(url, init) {
+    const signal = init?.signal;
+    if (signal?.aborted) throw cassetteAbortError();
+    const { key } = describeCassetteRequest(url, init);
+    let cassette;
+    try {
+        cassette = JSON.parse(fs.readFileSync(cassettePath(key), 'utf-8'));
+    } catch (e) {
+        log.warn(`  📼 No cassette for request ${key}`);
+        return new Response(
+            JSON.stringify({
+                error: {
+                    message: `No cassette recorded for this request (${key})`,
+                    type: 'cassette_not_found',
+                },
+            }),
+            { status: 404, headers: { 'content-type': 'application/json' } },
+        );
+    }
+
+    const wait = (ms) => {
+        if (signal?.aborted) return Promise.reject(cassetteAbortError());
+        if (!CASSETTE_REPLAY_TIMING || ms <= 0) return null;
+        return new Promise((resolve, reject) => {
+            const onAbort = () => {
+                clearTimeout(timer);
+                reject(cassetteAbortError());
+            };
+            const timer = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
+    };
+    log.debug(`  📼 Replaying cassette ${key}`);
+    await wait(cassette.response.headers_ms);
+
+    const encoder = new TextEncoder();
+    const chunks = [...cassette.response.chunks];
+    const body = new ReadableStream({
+        async pull(controller) {
+            const chunk = chunks.shift();
+            if (!chunk) {
+                controller.close();
+                return;
+            }
+            await wait(chunk.delay_ms);
+            controller.enqueue(encoder.encode(chunk.data));
+        },
+    });
+    return new Response(body, {
+        status: cassette.response.status,
+        headers: cassette.response.headers,
+    });
+}
+
+function getUpstreamFetch() {
+    if (CASSETTE_MODE === 'record') return recordingFetch;
+    if (CASSETTE_MODE === 'replay') return replayFetch;
+    return undefined; // SDK default
+}
+
+// ─── Response Cache ─────────────────────────────────────────────────────────
+// Opt-in cache for repeated requests, keyed on a hash of the model, messages,
+// tools and sampling params. Streaming and non-streaming requests share
+// entries: a cached completion is replayed as SSE chunks when the client asked
+// for a stream. `Cache-Control: no-cache` skips the lookup (the fresh response
+// is still stored); `no-store` skips the cache entirely.
+
+const responseCache = new Map(); // key → { expiresAt, response }, oldest first
+
+const RESPONSE_CACHE_KEY_FIELDS = [
+    'messages',
+    'tools',
+    'tool_choice',
+    'functions',
+    'function_call',
+    'temperature',
+    'top_p',
+    'max_tokens',
+    'stop',
+    'presence_penalty',
+    'frequency_penalty',
+    'response_format',
+    'seed',
+    'enable_thinking',
+    'thinking_budget',
+];
+
+function isCacheableRequest(reqBody) {
+    if (reqBody.n > 1) return false;
+    if (RESPONSE_CACHE === 'all') return true;
+    return RESPONSE_CACHE === 'deterministic' && reqBody.temperature === 0;
+}
+
+function responseCacheKey(model, reqBody) {
+    const fields = { model };
+    for (const field of RESPONSE_CACHE_KEY_FIELDS) {
+        if (reqBody[field] !== undefined) fields[field] = reqBody[field];
+    }
+    return crypto
+        .createHash('sha256')
+        .update(stableStringify(fields))
+        .digest('hex');
+}
+
+function responseCachePath(key) {
+    return path.join(RESPONSE_CACHE_DIR, `${key}.json`);
+}
+
+// Insert or refresh an entry as most recently used, evicting the oldest
+function rememberResponse(key, entry) {
+    responseCache.delete(key);
+    responseCache.set(key, entry);
+    while (responseCache.size > RESPONSE_CACHE_SIZE) {
+        responseCache.delete(responseCache.keys().next().value);
+    }
+}
+
+async function getCachedResponse(key) {
+    let entry = responseCache.get(key);
+    if (!entry && RESPONSE_CACHE_DIR) {
+        try {
+            entry = JSON.parse(
+                await fs.promises.readFile(responseCachePath(key), 'utf-8'),
+            );
+        } catch (e) {
+            entry = null; // Not on disk (or unreadable) — a miss
+        }
+    }
+    if (!entry) return null;
+    if (entry.expiresAt <= Date.now()) {
+        responseCache.delete(key);
+        if (RESPONSE_CACHE_DIR) {
+            fs.promises
+                .rm(responseCachePath(key), { force: true })
+                .catch(() => {});
+        }
+        return null;
+    }
+    rememberResponse(key, entry);
+    return entry.response;
+}
+
+function cacheResponse(key, response) {
+    const entry = { expiresAt: Date.now() + RESPONSE_CACHE_TTL_MS, response };
+    rememberResponse(key, entry);
+    if (!RESPONSE_CACHE_DIR) return;
+    fs.promises
+        .mkdir(RESPONSE_CACHE_DIR, { recursive: true })
+        .then(() =>
+            fs.promises.writeFile(
+                responseCachePath(key),
+                JSON.stringify(entry),
+            ),
+        )
+        .catch((e) =>
+            log.warn('⚠️ Failed to write response cache', { error: e.message }),
+        );
+}
+
+// Folds one streamed chunk into a chat.completion, so streams can be cached
+function mergeStreamChunk(completion, chunk) {
+    const result = completion || {
+        id: chunk.id,
+        object: 'chat.completion',
+        created: chunk.created,
+        model: chunk.model,
+        choices: [
+            {
+                index: 0,
+                message: { role: 'assistant', content: null },
+                finish_reason: null,
+            },
+        ],
+        usage: null,
+    };
+    if (chunk.usage) result.usage = chunk.usage;
+    const choice = chunk.choices?.[0];
+    if (!choice) return result;
+
+    const target = result.choices[0];
+    const delta = choice.delta || {};
+    for (const field of ['content', 'reasoning_content']) {
+        if (delta[field]) {
+            target.message[field] =
+                (target.message[field] || '') + delta[field];
+        }
+    }
+    for (const call of delta.tool_calls || []) {
+        const calls = (target.message.tool_calls ||= []);
+        const merged = (calls[call.index ?? 0] ||= {
+            id: call.id,
+            type: 'function',
+            function: { name: '', arguments: '' },
+        });
+        if (call.id) merged.id = call.id;
+        if (call.function?.name) merged.function.name += call.function.name;
+        if (call.function?.arguments) {
+            merged.function.arguments += call.function.arguments;
+        }
+    }
+    if (choice.finish_reason) target.finish_reason = choice.finish_reason;
+    return result;
+}
+
+// Replays a cached completion through the adapter as a stream
+function streamCachedResponse(adapter, response, requestId) {
+    const base = {
+        id: requestId,
+        object: 'chat.completion.chunk',
+        created: Math.floor(Date.now() / 1000),
+        model: response.model,
+    };
+    const choice = response.choices[0];
+    const { role, tool_calls: toolCalls, ...content } = choice.message;
+    const chunk = (delta, finishReason = null) => ({
+        ...base,
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+    });
+
+    adapter.beginStream();
+    adapter.writeChunk(
+        chunk({ role, ...content, content: content.content || '' }),
+    );
+    if (toolCalls?.length) {
+        adapter.writeChunk(
+            chunk({
+                tool_calls: toolCalls.map((call, index) => ({
+                    index,
+                    ...call,
+                })),
+            }),
+        );
+    }
+    adapter.writeChunk(chunk({}, choice.finish_reason));
+    if (response.usage) {
+        adapter.writeChunk({ ...base, choices: [], usage: response.usage });
+    }
+    adapter.endStream();
+}
+
+// ─── Reasoning ──────────────────────────────────────────────────────────────
+// Qwen sends its thinking as `reasoning_content` deltas, or as <think> blocks
+// inside the content. The reasoning mode decides what clients receive:
+//   passthrough — whatever the upstream sent
+//   strip       — no reasoning at all
+//   think       — inline in the content, wrapped in <think></think>
+//   field       — a separate `reasoning` field, as OpenAI-style clients expect
+
+const REASONING_MODES = ['passthrough', 'strip', 'think', 'field'];
+const THINK_OPEN = '<think>';
+const THINK_CLOSE = '</think>';
+
+// Splits content into answer and <think> text. Keeps state between calls so
+// tags split across stream chunks are still found; a trailing partial tag is
+// held back until the next call, or released with `flush`.
+function createThinkSplitter() {
+    let inThink = false;
+    let pending = '';
+    return (text, flush) => {
+        const out = { content: '', reasoning: '' };
+        let rest = pending + (text || '');
+        pending = '';
+        for (;;) {
+            const tag = inThink ? THINK_CLOSE : THINK_OPEN;
+            const target = inThink ? 'reasoning' : 'content';
+            const index = rest.indexOf(tag);
+            if (index === -1) {
+                let keep = flush ? 0 : Math.min(tag.length - 1, rest.length);
+                while (keep > 0 && !tag.startsWith(rest.slice(-keep))) keep--;
+                out[target] += rest.slice(0, rest.length - keep);
+                pending = rest.slice(rest.length - keep);
+                return out;
+            }
+            out[target] += rest.slice(0, index);
+            rest = rest.slice(index + tag.length);
+            inThink = !inThink;
+        }
+    };
+}
+
+// Rewrites the deltas of one streamed choice, or a whole message (`final`)
+function createReasoningNormalizer(mode) {
+    const split = createThinkSplitter();
+    let thinkOpen = false; // think mode: <think> sent, </think> not yet
+    return (message, final) => {
+        const { reasoning_content: reasoningContent, ...rest } = message;
+        const { content, reasoning } = split(message.content, final);
+        const thought = (reasoningContent || '') + reasoning;
+
+        let text = content;
+        if (mode === 'field' && thought) rest.reasoning = thought;
+        if (mode === 'think') {
+            text = '';
+            if (thought) {
+                if (!thinkOpen) text += THINK_OPEN;
+                thinkOpen = true;
+                text += thought;
+            }
+            if (thinkOpen && (content || final)) {
+                text += THINK_CLOSE;
+                thinkOpen = false;
+            }
+            text += content;
+        }
+        if (text) rest.content = text;
+        else if (message.content !== undefined) {
+            rest.content = message.content === null ? null : '';
+        }
+        return rest;
+    };
+}
+
+// Wraps a response adapter so every chunk and response it is handed —
+// upstream, fallback or cache replay — goes out in the reasoning mode
+function withReasoningMode(adapter, mode) {
+    if (!REASONING_MODES.includes(mode) || mode === 'passthrough') {
+        return adapter;
+    }
+    const normalizers = new Map(); // Choice index → normalizer
+    const normalize = (choice, field, final) => {
+        const index = choice.index ?? 0;
+        if (!normalizers.has(index)) {
+            normalizers.set(index, createReasoningNormalizer(mode));
+        }
+        const normalizer = normalizers.get(index);
+        return { ...choice, [field]: normalizer(choice[field] || {}, final) };
+    };
+    return {
+        ...adapter,
+        writeChunk(chunk) {
+            adapter.writeChunk({
+                ...chunk,
+                choices: (chunk.choices || []).map((choice) =>
+                    normalize(choice, 'delta', !!choice.finish_reason),
+                ),
+            });
+        },
+        sendResponse(data) {
+            adapter.sendResponse({
+                ...data,
+                choices: (data.choices || []).map((choice) =>
+                    normalize(choice, 'message', true),
+                ),
+            });
+        },
+    };
+}
+
+function getReasoningMode(req) {
+    const value = String(req.headers['x-reasoning-mode'] || '').toLowerCase();
+    if (REASONING_MODES.includes(value)) return value;
+    return req.apiKey?.reasoning_mode || REASONING_MODE;
+}
+
+// ─── Session Management ─────────────────────────────────────────────────────
+
+const SESSION_ID = crypto.randomUUID();
+
+// ─── DashScope Prompt Caching ───────────────────────────────────────────────
+// The CLI adds cache_control annotations to optimize DashScope prompt caching
+// (cli.js#L141610-L141650). This reduces repeated prompt processing costs.
+
+function addCacheControl(messages, tools, isStreaming) {
+    if (!isStreaming) return { messages, tools };
+
+    const msgsCopy = messages.map((m) => ({ ...m }));
+    const toolsCopy = tools ? tools.map((t) => ({ ...t })) : undefined;
+
+    // Add cache_control to system message content
+    for (const msg of msgsCopy) {
+        if (msg.role === 'system') {
+            if (typeof msg.content === 'string') {
+                msg.content = [
+                    {
+                        type: 'text',
+                        text: msg.content,
+                        cache_control: { type: 'ephemeral' },
+                    },
+                ];
+            } else if (Array.isArray(msg.content) && msg.content.length > 0) {
+                msg.content = msg.content.map((part, i) =>
+                    i === 0
+                        ? { ...part, cache_control: { type: 'ephemeral' } }
+                        : part,
+                );
+            }
+            break; // Only first system message
+        }
+    }
+
+    // Add cache_control to last user message content
+    for (let i = msgsCopy.length - 1; i >= 0; i--) {
+        if (msgsCopy[i].role === 'user') {
+            const msg = msgsCopy[i];
+            if (typeof msg.content === 'string') {
+                msg.content = [
+                    {
+                        type: 'text',
+                        text: msg.content,
                         cache_control: { type: 'ephemeral' },
                     },
                 ];
@@ -279,269 +1613,3894 @@ function addCacheControl(messages, tools, isStreaming) {
             ...toolsCopy[lastIdx],
             cache_control: { type: 'ephemeral' },
         };
-    }
+    }
+
+    return { messages: msgsCopy, tools: toolsCopy };
+}
+
+// ─── Tool Schema Compaction ─────────────────────────────────────────────────
+// Agent clients send the same verbose tool definitions on every call, and tool
+// schemas count towards the request weight behind 429s. Before cache_control
+// is applied, tools can be:
+//   • trimmed — examples, then long descriptions, stripped past TOOL_SCHEMA_BUDGET
+//   • deduped — repeated JSON-schema fragments hoisted into `$defs` + `$ref`
+//   • filtered — only tools relevant to the latest user turn (TOOL_FILTER)
+// Names over the API's 64 character limit are shortened; the returned name map
+// restores original names in the model's tool calls.
+
+const MAX_TOOL_NAME_LENGTH = 64;
+const TOOL_FILTER_STOPWORDS = new Set([
+    'the',
+    'and',
+    'for',
+    'with',
+    'this',
+    'that',
+    'from',
+    'into',
+    'you',
+    'your',
+    'please',
+    'can',
+    'could',
+    'would',
+    'should',
+    'what',
+    'how',
+    'use',
+]);
+
+function toolCompactionEnabled() {
+    return TOOL_SCHEMA_BUDGET > 0 || TOOL_DEDUPE || TOOL_FILTER !== 'off';
+}
+
+function keywordTokens(text) {
+    return (text || '')
+        .replace(/([a-z])([A-Z])/g, '$1 $2')
+        .toLowerCase()
+        .split(/[^a-z0-9]+/)
+        .filter((word) => word.length >= 3 && !TOOL_FILTER_STOPWORDS.has(word));
+}
+
+// Remove `key` everywhere in a schema
+function stripSchemaKey(node, key) {
+    if (Array.isArray(node)) return node.map((n) => stripSchemaKey(n, key));
+    if (!node || typeof node !== 'object') return node;
+    const result = {};
+    for (const [k, v] of Object.entries(node)) {
+        if (k !== key) result[k] = stripSchemaKey(v, key);
+    }
+    return result;
+}
+
+function firstSentence(text, maxChars = 200) {
+    const sentence = (text || '').split(/(?<=[.!?])\s/)[0];
+    return sentence.length > maxChars
+        ? `${sentence.slice(0, maxChars - 1)}…`
+        : sentence;
+}
+
+// Progressively strip detail until the serialized tools fit the budget
+function trimToolSchemas(tools) {
+    const size = (list) => JSON.stringify(list).length;
+    const mapParams = (list, fn) =>
+        list.map((tool) => ({
+            ...tool,
+            function: {
+                ...tool.function,
+                parameters: fn(tool.function?.parameters),
+            },
+        }));
+
+    let result = mapParams(tools, (p) =>
+        stripSchemaKey(stripSchemaKey(p, 'examples'), 'example'),
+    );
+    if (size(result) <= TOOL_SCHEMA_BUDGET) return result;
+
+    result = result.map((tool) => ({
+        ...tool,
+        function: {
+            ...tool.function,
+            description:
+                tool.function?.description &&
+                firstSentence(tool.function.description),
+        },
+    }));
+    if (size(result) <= TOOL_SCHEMA_BUDGET) return result;
+
+    // Last resort: property-level descriptions (keeps the tool description)
+    return mapParams(result, (p) => {
+        const stripped = stripSchemaKey(p, 'description');
+        return p?.description
+            ? { ...stripped, description: p.description }
+            : stripped;
+    });
+}
+
+// Hoist sub-schemas repeated within one tool into `$defs`
+function dedupeSchemaFragments(schema) {
+    if (!schema || typeof schema !== 'object') return schema;
+    const counts = new Map();
+    const count = (node, isRoot) => {
+        if (!node || typeof node !== 'object') return;
+        if (!isRoot && !Array.isArray(node)) {
+            const json = JSON.stringify(node);
+            if (json.length >= 120)
+                counts.set(json, (counts.get(json) || 0) + 1);
+        }
+        for (const value of Object.values(node)) count(value, false);
+    };
+    count(schema, true);
+
+    const refs = new Map();
+    for (const [json, n] of counts) {
+        if (n > 1) refs.set(json, `shared${refs.size + 1}`);
+    }
+    if (refs.size === 0) return schema;
+
+    const replace = (node, isRoot) => {
+        if (!node || typeof node !== 'object') return node;
+        if (Array.isArray(node)) return node.map((n) => replace(n, false));
+        const name = !isRoot && refs.get(JSON.stringify(node));
+        if (name) return { $ref: `#/$defs/${name}` };
+        return Object.fromEntries(
+            Object.entries(node).map(([k, v]) => [k, replace(v, false)]),
+        );
+    };
+    const result = replace(schema, true);
+    const defs = {};
+    for (const [json, name] of refs)
+        defs[name] = replace(JSON.parse(json), true);
+
+    // Fragments only nested inside other hoisted fragments end up unused
+    let changed = true;
+    while (changed) {
+        changed = false;
+        const text = JSON.stringify([result, defs]);
+        for (const name of Object.keys(defs)) {
+            if (!text.includes(`"#/$defs/${name}"`)) {
+                delete defs[name];
+                changed = true;
+            }
+        }
+    }
+    result.$defs = { ...(result.$defs || {}), ...defs };
+    return result;
+}
+
+function filterRelevantTools(tools, messages, toolChoice) {
+    const keep = new Set(TOOL_ALLOWLIST);
+    // Tools already used in the conversation or forced by tool_choice stay
+    for (const msg of messages) {
+        for (const call of msg.tool_calls || []) keep.add(call.function?.name);
+    }
+    if (toolChoice?.function?.name) keep.add(toolChoice.function.name);
+
+    if (TOOL_FILTER === 'allowlist') {
+        const allowed = tools.filter((tool) => keep.has(tool.function?.name));
+        // An empty or stale allowlist must not strip every tool
+        if (allowed.length === 0) {
+            log.warn(
+                '  ⚠️ TOOL_ALLOWLIST matches none of the request tools, sending all',
+            );
+            return tools;
+        }
+        return allowed;
+    }
+
+    // keywords: score tools against the latest user turn
+    const lastUser = [...messages].reverse().find((m) => m.role === 'user');
+    const words = new Set(
+        keywordTokens(messageContentToText(lastUser?.content)),
+    );
+    const scored = tools.map((tool) => {
+        const nameWords = keywordTokens(tool.function?.name);
+        const descWords = keywordTokens(tool.function?.description);
+        const score =
+            nameWords.filter((w) => words.has(w)).length * 3 +
+            new Set(descWords.filter((w) => words.has(w))).size;
+        return { tool, score };
+    });
+    const relevant = scored
+        .filter(({ score }) => score > 0)
+        .sort((a, b) => b.score - a.score)
+        .slice(0, TOOL_FILTER_MAX)
+        .map(({ tool }) => tool);
+    // Nothing matched — sending no tools could break the agent loop
+    if (relevant.length === 0) return tools;
+    return tools.filter(
+        (tool) => relevant.includes(tool) || keep.has(tool.function?.name),
+    );
+}
+
+function shortenToolName(name) {
+    const hash = crypto
+        .createHash('sha1')
+        .update(name)
+        .digest('hex')
+        .slice(0, 8);
+    return `${name.slice(0, MAX_TOOL_NAME_LENGTH - 9)}_${hash}`;
+}
+
+// Returns compacted { tools, messages, toolChoice, toolNames, report }, where
+// toolNames maps compact names back to the originals (null if none changed)
+function compactTools(tools, messages, toolChoice) {
+    const originalSize = JSON.stringify(tools).length;
+    let result = tools;
+
+    if (TOOL_FILTER !== 'off') {
+        result = filterRelevantTools(result, messages, toolChoice);
+    }
+    if (
+        TOOL_SCHEMA_BUDGET > 0 &&
+        JSON.stringify(result).length > TOOL_SCHEMA_BUDGET
+    ) {
+        result = trimToolSchemas(result);
+    }
+    if (TOOL_DEDUPE) {
+        result = result.map((tool) => ({
+            ...tool,
+            function: {
+                ...tool.function,
+                parameters: dedupeSchemaFragments(tool.function?.parameters),
+            },
+        }));
+    }
+
+    // Shorten over-long names, including in history and tool_choice
+    const toCompact = new Map();
+    for (const tool of tools) {
+        const name = tool.function?.name;
+        if (name && name.length > MAX_TOOL_NAME_LENGTH) {
+            toCompact.set(name, shortenToolName(name));
+        }
+    }
+    let toolNames = null;
+    if (toCompact.size > 0) {
+        const rename = (name) => toCompact.get(name) || name;
+        result = result.map((tool) => ({
+            ...tool,
+            function: { ...tool.function, name: rename(tool.function?.name) },
+        }));
+        messages = messages.map((msg) =>
+            msg.tool_calls
+                ? {
+                      ...msg,
+                      tool_calls: msg.tool_calls.map((call) => ({
+                          ...call,
+                          function: {
+                              ...call.function,
+                              name: rename(call.function?.name),
+                          },
+                      })),
+                  }
+                : msg,
+        );
+        if (toolChoice?.function?.name) {
+            toolChoice = {
+                ...toolChoice,
+                function: { name: rename(toolChoice.function.name) },
+            };
+        }
+        toolNames = new Map(
+            [...toCompact].map(([orig, short]) => [short, orig]),
+        );
+    }
+
+    const compactSize = JSON.stringify(result).length;
+    return {
+        tools: result,
+        messages,
+        toolChoice,
+        toolNames,
+        report: `tools=${result.length}/${tools.length}; chars=${originalSize}->${compactSize}`,
+    };
+}
+
+// Map shortened names in returned tool calls back to the client's names
+function restoreToolNames(choices, toolNames) {
+    if (!toolNames) return;
+    for (const choice of choices || []) {
+        const calls = choice.message?.tool_calls || choice.delta?.tool_calls;
+        for (const call of calls || []) {
+            const original = toolNames.get(call.function?.name);
+            if (original) call.function.name = original;
+        }
+    }
+}
+
+// ─── Token Budget ───────────────────────────────────────────────────────────
+// DashScope 429s track request weight (prompt + tool schema tokens per rolling
+// minute), not request count. Requests reserve their estimated tokens from a
+// token bucket before going upstream; the bucket learns from returned `usage`
+// and shrinks to just under the load observed when a 429 arrives that no other
+// account could take. Without another 429 it doubles back every minute.
+
+const MIN_TOKENS_PER_MINUTE = 1000;
+// A lowered budget is back at its ceiling this long after the last 429
+const TOKEN_BUDGET_RECOVERY_MS = 300000;
+
+const tokenBudget = {
+    // Unconfigured budgets start unlimited and only engage after a 429
+    maxCapacity: TOKENS_PER_MINUTE > 0 ? TOKENS_PER_MINUTE : Infinity,
+    capacity: TOKENS_PER_MINUTE > 0 ? TOKENS_PER_MINUTE : Infinity,
+    available: TOKENS_PER_MINUTE > 0 ? TOKENS_PER_MINUTE : Infinity,
+    lastRefill: Date.now(),
+    estimateFactor: 1, // Learned ratio of real to estimated prompt tokens
+    usageLog: [], // { time, tokens } spent over the last minute
+    learnedLimit: null, // Tokens/minute in flight when the last 429 hit
+    limitedCapacity: Infinity, // Capacity set by the last 429
+    lastLimitedAt: 0,
+};
+
+// ~4 characters per token, plus framing per message
+function estimateRawTokens(messages, tools) {
+    let chars = 0;
+    for (const msg of messages || []) {
+        chars += 16;
+        chars +=
+            typeof msg.content === 'string'
+                ? msg.content.length
+                : JSON.stringify(msg.content ?? '').length;
+        if (msg.tool_calls) chars += JSON.stringify(msg.tool_calls).length;
+    }
+    if (tools) chars += JSON.stringify(tools).length;
+    return Math.ceil(chars / 4);
+}
+
+// Capacity lowered by a 429 doubles every minute since, and is back at the
+// ceiling (unlimited when unconfigured) after TOKEN_BUDGET_RECOVERY_MS
+function recoverTokenBudget(now) {
+    if (tokenBudget.capacity >= tokenBudget.maxCapacity) return;
+    const elapsed = now - tokenBudget.lastLimitedAt;
+    tokenBudget.capacity =
+        elapsed >= TOKEN_BUDGET_RECOVERY_MS
+            ? tokenBudget.maxCapacity
+            : Math.min(
+                  tokenBudget.maxCapacity,
+                  Math.floor(
+                      tokenBudget.limitedCapacity * 2 ** (elapsed / 60000),
+                  ),
+              );
+}
+
+function refillTokenBudget() {
+    const now = Date.now();
+    recoverTokenBudget(now);
+    if (Number.isFinite(tokenBudget.capacity)) {
+        const elapsed = now - tokenBudget.lastRefill;
+        tokenBudget.available = Math.min(
+            tokenBudget.capacity,
+            tokenBudget.available + (elapsed * tokenBudget.capacity) / 60000,
+        );
+    } else {
+        tokenBudget.available = Infinity;
+    }
+    tokenBudget.lastRefill = now;
+    tokenBudget.usageLog = tokenBudget.usageLog.filter(
+        (entry) => now - entry.time < 60000,
+    );
+}
+
+// Milliseconds until `tokens` can be spent (0 = now). Requests larger than the
+// whole bucket only wait for a full bucket.
+function tokenBudgetWaitMs(tokens) {
+    refillTokenBudget();
+    const needed = Math.min(tokens, tokenBudget.capacity);
+    if (tokenBudget.available >= needed) return 0;
+    const perMs = tokenBudget.capacity / 60000;
+    return Math.ceil((needed - tokenBudget.available) / perMs);
+}
+
+function spendTokens(tokens) {
+    if (!tokens) return;
+    refillTokenBudget();
+    tokenBudget.available -= tokens;
+    tokenBudget.usageLog.push({ time: Date.now(), tokens });
+}
+
+// Reservation of a request that never reached the model
+function refundTokens(tokens) {
+    if (!tokens) return;
+    refillTokenBudget();
+    tokenBudget.available = Math.min(
+        tokenBudget.capacity,
+        tokenBudget.available + tokens,
+    );
+    tokenBudget.usageLog.push({ time: Date.now(), tokens: -tokens });
+}
+
+// Reconcile a reservation with the real `usage` and tune the estimator
+function learnFromUsage(rawEstimate, reserved, usage) {
+    if (!usage) return;
+    const actual =
+        usage.total_tokens ||
+        (usage.prompt_tokens || 0) + (usage.completion_tokens || 0);
+    spendTokens(actual - reserved);
+
+    if (usage.prompt_tokens && rawEstimate > 0) {
+        const ratio = usage.prompt_tokens / rawEstimate;
+        tokenBudget.estimateFactor = Math.min(
+            4,
+            Math.max(0.25, tokenBudget.estimateFactor * 0.8 + ratio * 0.2),
+        );
+    }
+}
+
+// A 429 no account could absorb means the last minute's load was over the
+// limit — cut below it
+function learnFromRateLimit() {
+    refillTokenBudget();
+    const used = tokenBudget.usageLog.reduce(
+        (sum, entry) => sum + entry.tokens,
+        0,
+    );
+    tokenBudget.lastLimitedAt = Date.now();
+    tokenBudget.limitedCapacity = tokenBudget.capacity;
+    if (used <= 0) return;
+    tokenBudget.learnedLimit = used;
+    tokenBudget.capacity = Math.max(
+        MIN_TOKENS_PER_MINUTE,
+        Math.min(tokenBudget.capacity, Math.floor(used * 0.9)),
+    );
+    tokenBudget.limitedCapacity = tokenBudget.capacity;
+    // A configured limit is known to be spent; a learned one is only a guess,
+    // so keep what is left within it rather than stalling every request
+    tokenBudget.available = Number.isFinite(tokenBudget.maxCapacity)
+        ? Math.min(tokenBudget.available, 0)
+        : Math.min(tokenBudget.available, tokenBudget.capacity);
+    log.info(
+        `  📉 Token budget lowered to ${tokenBudget.capacity} tokens/min (429 at ~${used})`,
+    );
+}
+
+function describeTokenBudget() {
+    refillTokenBudget();
+    const finite = (value) =>
+        Number.isFinite(value) ? Math.floor(value) : null;
+    return {
+        configured_tpm: finite(tokenBudget.maxCapacity),
+        capacity_tpm: finite(tokenBudget.capacity),
+        available: finite(tokenBudget.available),
+        tokens_last_minute: tokenBudget.usageLog.reduce(
+            (sum, entry) => sum + entry.tokens,
+            0,
+        ),
+        estimate_factor: Number(tokenBudget.estimateFactor.toFixed(3)),
+        learned_limit: tokenBudget.learnedLimit,
+        last_limited: tokenBudget.lastLimitedAt
+            ? new Date(tokenBudget.lastLimitedAt).toISOString()
+            : null,
+    };
+}
+
+// ─── Request Scheduler ──────────────────────────────────────────────────────
+// All upstream calls share one queue: at most MAX_CONCURRENT_REQUESTS run at
+// once, higher priority requests are served first, the head of the queue waits
+// for its estimated tokens, and a 429 that the account pool cannot absorb
+// pauses the whole queue instead of each request sleeping.
+
+const PRIORITY_LEVELS = {
+    high: 0,
+    interactive: 0,
+    normal: 1,
+    low: 2,
+    batch: 2,
+};
+
+const scheduler = {
+    inFlight: 0,
+    queue: [], // { priority, seq, tokens, resolve }
+    pausedUntil: 0, // Shared backoff window
+    timer: null,
+    seq: 0,
+};
+
+// Resolves with a release() function once the request may call upstream, or
+// with null if `signal` aborts while it is still queued
+function acquireSlot(priority = PRIORITY_LEVELS.normal, tokens = 0, signal) {
+    return new Promise((resolve) => {
+        if (signal?.aborted) return resolve(null);
+        const entry = { priority, seq: scheduler.seq++, tokens, resolve };
+        if (signal) {
+            const onAbort = () => {
+                const index = scheduler.queue.indexOf(entry);
+                if (index === -1) return;
+                scheduler.queue.splice(index, 1);
+                resolve(null);
+                drainQueue(); // It may have been the head waiting for tokens
+            };
+            signal.addEventListener('abort', onAbort, { once: true });
+            entry.resolve = (release) => {
+                signal.removeEventListener('abort', onAbort);
+                resolve(release);
+            };
+        }
+        scheduler.queue.push(entry);
+        scheduler.queue.sort(
+            (a, b) => a.priority - b.priority || a.seq - b.seq,
+        );
+        drainQueue();
+    });
+}
+
+function wakeSchedulerIn(ms) {
+    if (scheduler.timer) return;
+    scheduler.timer = setTimeout(() => {
+        scheduler.timer = null;
+        drainQueue();
+    }, ms);
+}
+
+function drainQueue() {
+    const now = Date.now();
+    if (scheduler.pausedUntil > now) {
+        wakeSchedulerIn(scheduler.pausedUntil - now);
+        return;
+    }
+    while (
+        scheduler.queue.length > 0 &&
+        (MAX_CONCURRENT_REQUESTS <= 0 ||
+            scheduler.inFlight < MAX_CONCURRENT_REQUESTS)
+    ) {
+        const waitMs = tokenBudgetWaitMs(scheduler.queue[0].tokens);
+        if (waitMs > 0) {
+            wakeSchedulerIn(waitMs);
+            return;
+        }
+        const entry = scheduler.queue.shift();
+        spendTokens(entry.tokens);
+        scheduler.inFlight++;
+        let released = false;
+        entry.resolve(() => {
+            if (released) return;
+            released = true;
+            scheduler.inFlight--;
+            drainQueue();
+        });
+    }
+}
+
+// Hold back every queued request for at least `ms`
+function pauseScheduler(ms) {
+    scheduler.pausedUntil = Math.max(scheduler.pausedUntil, Date.now() + ms);
+    drainQueue();
+}
+
+function getRequestPriority(req) {
+    const value = String(req.headers['x-priority'] || '').toLowerCase();
+    return PRIORITY_LEVELS[value] ?? PRIORITY_LEVELS.normal;
+}
+
+function describeScheduler() {
+    const now = Date.now();
+    const queuedByPriority = {};
+    for (const [name, level] of Object.entries(PRIORITY_LEVELS)) {
+        queuedByPriority[name] = scheduler.queue.filter(
+            (entry) => entry.priority === level,
+        ).length;
+    }
+    return {
+        max_concurrent: MAX_CONCURRENT_REQUESTS,
+        in_flight: scheduler.inFlight,
+        queued: scheduler.queue.length,
+        queued_by_priority: queuedByPriority,
+        paused_until:
+            scheduler.pausedUntil > now
+                ? new Date(scheduler.pausedUntil).toISOString()
+                : null,
+    };
+}
+
+// ─── In-Flight Requests ──────────────────────────────────────────────────────
+// Requests from the queue to their last byte, listed by GET /admin/requests.
+// Cancelling one aborts its upstream call and drops any pending retry.
+
+const inFlightRequests = new Map(); // requestId → entry from handleChatCompletion
+
+function describeInFlightRequest(entry) {
+    return {
+        id: entry.requestId,
+        route: entry.route || null,
+        model: entry.model,
+        stream: entry.stream,
+        state: entry.state, // queued | upstream | streaming
+        attempt: entry.attempt,
+        key: entry.apiKey?.id || null,
+        started_at: new Date(entry.startedAt).toISOString(),
+        elapsed_ms: Date.now() - entry.startedAt,
+        cancelled: entry.controller.signal.aborted,
+    };
+}
+
+// ─── Context Window Management ──────────────────────────────────────────────
+// Opt-in (CONTEXT_MANAGEMENT or the X-Context-Management header) fitting of
+// long conversations into the model's context window. The system prompt and
+// the last CONTEXT_KEEP_TURNS user turns are always kept — or, in an agent
+// session with fewer user turns, every user message and the last
+// CONTEXT_KEEP_TURNS assistant steps. The history between them is shrunk in
+// steps until the estimate fits:
+//   trim      — drop the oldest middle messages
+//   collapse  — replace old tool results with a placeholder, then trim, then
+//               collapse tool results in the kept tail but the latest step's
+//   summarize — collapse, replace the middle with a summary from
+//               CONTEXT_SUMMARY_MODEL, then trim if still too large
+
+const CONTEXT_MODES = ['off', 'trim', 'collapse', 'summarize'];
+const DEFAULT_CONTEXT_LENGTH = 131072;
+const DEFAULT_OUTPUT_RESERVE = 8192;
+
+function getContextLimit(model) {
+    const modelLimit =
+        findModel(model)?.context_length || DEFAULT_CONTEXT_LENGTH;
+    return CONTEXT_WINDOW_TOKENS > 0
+        ? Math.min(modelLimit, CONTEXT_WINDOW_TOKENS)
+        : modelLimit;
+}
+
+function estimateMessagesTokens(messages, tools) {
+    return Math.ceil(
+        estimateRawTokens(messages, tools) * tokenBudget.estimateFactor,
+    );
+}
+
+function messageContentToText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .map((part) => (part.type === 'text' ? part.text : `[${part.type}]`))
+        .join('\n');
+}
+
+// Assistant tool calls and the tool results answering them move as one unit
+function groupMessageUnits(messages) {
+    const units = [];
+    for (const msg of messages) {
+        const last = units[units.length - 1];
+        if (msg.role === 'tool' && last) {
+            last.push(msg);
+        } else {
+            units.push([msg]);
+        }
+    }
+    return units;
+}
+
+function collapseToolResult(msg, report) {
+    const text = messageContentToText(msg.content);
+    if (msg.role !== 'tool' || text.length <= 200) return msg;
+    report.collapsed++;
+    return {
+        ...msg,
+        content: `[Tool result omitted to fit the context window (${text.length} chars)]`,
+    };
+}
+
+async function summarizeMessages(messages, { clientKey, priority }) {
+    const account = selectAccount({ clientKey });
+    const token = account && (await ensureValidToken(account));
+    if (!token) return null;
+
+    // Cap the transcript: each message and the whole text (oldest cut first)
+    let transcript = messages
+        .map(
+            (msg) =>
+                `${msg.role}: ${messageContentToText(msg.content).slice(0, 4000)}${msg.tool_calls ? ` [called ${msg.tool_calls.map((c) => c.function?.name).join(', ')}]` : ''}`,
+        )
+        .join('\n\n');
+    transcript = transcript.slice(-200000);
+
+    const summaryMessages = [
+        {
+            role: 'system',
+            content:
+                'Summarize the following conversation excerpt for another assistant that will continue the conversation. Keep facts, decisions, file names, code identifiers and open tasks. Be concise.',
+        },
+        { role: 'user', content: transcript },
+    ];
+    const tokens = estimateMessagesTokens(summaryMessages);
+    const release = await acquireSlot(priority, tokens);
+    try {
+        const client = createOpenAIClient(account, token);
+        const response = await client.chat.completions.create({
+            model: CONTEXT_SUMMARY_MODEL,
+            messages: summaryMessages,
+            max_tokens: 2048,
+            metadata: {
+                sessionId: SESSION_ID,
+                promptId: crypto.randomUUID(),
+                channel: 'SDK',
+            },
+        });
+        return response.choices?.[0]?.message?.content || null;
+    } catch (e) {
+        log.warn(`  ⚠️ Context summary failed: ${e.message}`);
+        refundTokens(tokens);
+        return null;
+    } finally {
+        release();
+    }
+}
+
+// Returns { messages, report } where report lists what was removed (or null)
+async function fitContextWindow(messages, tools, options) {
+    const { model, mode, maxTokens } = options;
+    const limit =
+        getContextLimit(model) - (maxTokens || DEFAULT_OUTPUT_RESERVE);
+    const fits = (msgs) => estimateMessagesTokens(msgs, tools) <= limit;
+    if (fits(messages)) return { messages, report: null };
+
+    // Split into leading system prompt(s), middle history and protected tail
+    let headEnd = 0;
+    while (headEnd < messages.length && messages[headEnd].role === 'system') {
+        headEnd++;
+    }
+    // Start of the Nth-last user turn, else of the Nth-last assistant step
+    const findTurnStart = (role) => {
+        let count = 0;
+        for (let i = messages.length - 1; i >= headEnd; i--) {
+            if (messages[i].role === role && ++count === CONTEXT_KEEP_TURNS) {
+                return i;
+            }
+        }
+        return -1;
+    };
+    let tailStart = messages.length;
+    // Agent sessions: fewer user turns than kept, so each one stays
+    let pinUserMessages = false;
+    if (CONTEXT_KEEP_TURNS > 0) {
+        tailStart = findTurnStart('user');
+        if (tailStart === -1) {
+            tailStart = findTurnStart('assistant');
+            pinUserMessages = true;
+        }
+        if (tailStart === -1) {
+            // Not enough history to shrink without touching the kept turns
+            return { messages, report: null };
+        }
+    }
+
+    const head = messages.slice(0, headEnd);
+    const tail = messages.slice(tailStart);
+    let middle = messages.slice(headEnd, tailStart);
+    const report = { dropped: 0, collapsed: 0, summarized: 0 };
+    const assemble = () => [...head, ...middle, ...tail];
+    const collapses = mode === 'collapse' || mode === 'summarize';
+
+    if (collapses) {
+        middle = middle.map((msg) => collapseToolResult(msg, report));
+    }
+
+    if (mode === 'summarize' && middle.length > 0 && !fits(assemble())) {
+        const summary = await summarizeMessages(middle, options);
+        if (summary) {
+            report.summarized = middle.length;
+            middle = [
+                {
+                    role: 'user',
+                    content: `[Summary of the earlier conversation]\n${summary}`,
+                },
+                { role: 'assistant', content: 'Understood.' },
+            ];
+        }
+    }
+
+    const units = groupMessageUnits(middle);
+    while (!fits(assemble())) {
+        const index = units.findIndex(
+            (unit) => !pinUserMessages || unit[0].role !== 'user',
+        );
+        if (index === -1) break;
+        report.dropped += units.splice(index, 1)[0].length;
+        middle = units.flat();
+    }
+
+    // Still too large: old tool results inside the kept tail go as well,
+    // oldest first, all but those of the latest assistant step
+    if (collapses) {
+        const latestStep = tail.findLastIndex(
+            (msg) => msg.role === 'assistant',
+        );
+        for (let i = 0; i < latestStep && !fits(assemble()); i++) {
+            tail[i] = collapseToolResult(tail[i], report);
+        }
+    }
+
+    const parts = [];
+    if (report.dropped) parts.push(`messages=${report.dropped}`);
+    if (report.collapsed) parts.push(`tool_results=${report.collapsed}`);
+    if (report.summarized) parts.push(`summarized=${report.summarized}`);
+    return {
+        messages: assemble(),
+        report: parts.length > 0 ? parts.join('; ') : null,
+    };
+}
+
+function getContextMode(req) {
+    const value = String(
+        req.headers['x-context-management'] || '',
+    ).toLowerCase();
+    return CONTEXT_MODES.includes(value) ? value : CONTEXT_MANAGEMENT;
+}
+
+// ─── API Keys ───────────────────────────────────────────────────────────────
+// Managed router keys stored in API_KEYS_PATH. Each key has a label, optional
+// model scope, daily request/token quotas and an expiry; only a SHA-256 hash
+// is kept on disk. ROUTER_API_KEY remains a master key with no limits.
+
+const apiKeys = []; // Key records, in creation order
+let apiKeysSaveTimer = null;
+
+function hashApiKey(key) {
+    return crypto.createHash('sha256').update(key).digest('hex');
+}
+
+function loadApiKeys() {
+    apiKeys.length = 0;
+    try {
+        if (!fs.existsSync(API_KEYS_PATH)) return apiKeys;
+        const data = JSON.parse(fs.readFileSync(API_KEYS_PATH, 'utf8'));
+        apiKeys.push(...(data.keys || []));
+    } catch (e) {
+        log.warn('⚠️ Failed to read API keys', { error: e.message });
+    }
+    return apiKeys;
+}
+
+function saveApiKeys() {
+    clearTimeout(apiKeysSaveTimer);
+    apiKeysSaveTimer = null;
+    try {
+        fs.writeFileSync(
+            API_KEYS_PATH,
+            JSON.stringify({ keys: apiKeys }, null, 2),
+            { mode: 0o600 },
+        );
+    } catch (e) {
+        log.warn('⚠️ Failed to save API keys', { error: e.message });
+    }
+}
+
+// Usage counters change on every request — batch those writes
+function scheduleApiKeysSave() {
+    if (apiKeysSaveTimer) return;
+    apiKeysSaveTimer = setTimeout(saveApiKeys, 5000);
+    apiKeysSaveTimer.unref();
+}
+
+function findApiKey(key) {
+    const hash = hashApiKey(key);
+    return apiKeys.find((record) => record.key_hash === hash) || null;
+}
+
+function getApiKeyStatus(record, now = Date.now()) {
+    if (record.revoked_at) return 'revoked';
+    if (record.expires_at && Date.parse(record.expires_at) <= now) {
+        return 'expired';
+    }
+    return 'active';
+}
+
+// Today's counters (UTC day), reset when the day rolls over
+function getApiKeyUsage(record) {
+    const day = new Date().toISOString().slice(0, 10);
+    if (record.usage?.day !== day) {
+        record.usage = { day, requests: 0, tokens: 0 };
+    }
+    return record.usage;
+}
+
+// Scopes may name aliases (gpt-4o); requests are checked by resolved model id
+function apiKeyAllowsModel(record, model) {
+    return (
+        !record.models?.length ||
+        record.models.some((name) => resolveModelId(name) === model)
+    );
+}
+
+// Returns { status, message, type } when the key may not make this request
+function checkApiKeyQuota(record, model, estimatedTokens) {
+    if (!apiKeyAllowsModel(record, model)) {
+        return {
+            status: 403,
+            message: `API key '${record.label || record.id}' is not allowed to use model '${model}'`,
+            type: 'permission_error',
+        };
+    }
+    const usage = getApiKeyUsage(record);
+    const reserved = apiKeyReservations.get(record.id) || 0;
+    if (
+        record.max_requests_per_day > 0 &&
+        usage.requests >= record.max_requests_per_day
+    ) {
+        return {
+            status: 429,
+            message: `Daily request quota of ${record.max_requests_per_day} exceeded for this API key`,
+            type: 'quota_exceeded',
+        };
+    }
+    if (
+        record.max_tokens_per_day > 0 &&
+        usage.tokens + reserved + estimatedTokens > record.max_tokens_per_day
+    ) {
+        return {
+            status: 429,
+            message: `Daily token quota of ${record.max_tokens_per_day} exceeded for this API key (${usage.tokens} used${reserved ? `, ${reserved} reserved by requests in flight` : ''})`,
+            type: 'quota_exceeded',
+        };
+    }
+    return null;
+}
+
+function recordApiKeyRequest(record) {
+    getApiKeyUsage(record).requests++;
+    scheduleApiKeysSave();
+}
+
+function recordApiKeyTokens(record, usage) {
+    if (!usage?.total_tokens) return;
+    getApiKeyUsage(record).tokens += usage.total_tokens;
+    scheduleApiKeysSave();
+}
+
+// Estimated tokens of requests still in flight, by key id. They count
+// against the daily quota so concurrent requests cannot overshoot it.
+const apiKeyReservations = new Map();
+
+// Holds `tokens` of the key's quota and returns settle(usage), which swaps
+// the hold for the actual usage — or just drops it on errors and cancels
+function reserveApiKeyTokens(record, tokens) {
+    apiKeyReservations.set(
+        record.id,
+        (apiKeyReservations.get(record.id) || 0) + tokens,
+    );
+    let settled = false;
+    return (usage) => {
+        if (settled) return;
+        settled = true;
+        const remaining = apiKeyReservations.get(record.id) - tokens;
+        if (remaining > 0) apiKeyReservations.set(record.id, remaining);
+        else apiKeyReservations.delete(record.id);
+        recordApiKeyTokens(record, usage);
+    };
+}
+
+// Returns { record, key } with the plaintext key (shown once) or { error }
+function createApiKey(body) {
+    const models = body.models ?? [];
+    if (!Array.isArray(models) || !models.every((m) => typeof m === 'string')) {
+        return { error: 'models must be an array of model ids' };
+    }
+    const limits = {};
+    for (const field of ['max_requests_per_day', 'max_tokens_per_day']) {
+        const value = body[field] ?? 0;
+        if (!Number.isInteger(value) || value < 0) {
+            return { error: `${field} must be a non-negative integer` };
+        }
+        limits[field] = value;
+    }
+    let expiresAt = null;
+    if (body.expires_at) {
+        const time = Date.parse(body.expires_at);
+        if (Number.isNaN(time)) {
+            return { error: 'expires_at must be an ISO 8601 date' };
+        }
+        expiresAt = new Date(time).toISOString();
+    } else if (body.expires_in_days) {
+        if (!(body.expires_in_days > 0)) {
+            return { error: 'expires_in_days must be a positive number' };
+        }
+        expiresAt = new Date(
+            Date.now() + body.expires_in_days * 86400000,
+        ).toISOString();
+    }
+    const reasoningMode = body.reasoning_mode ?? null;
+    if (reasoningMode !== null && !REASONING_MODES.includes(reasoningMode)) {
+        return {
+            error: `reasoning_mode must be one of ${REASONING_MODES.join(', ')}`,
+        };
+    }
+
+    const key = `sk-qr-${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+        id: `key_${crypto.randomBytes(8).toString('hex')}`,
+        label: String(body.label || ''),
+        key_hash: hashApiKey(key),
+        key_prefix: key.slice(0, 12),
+        models,
+        ...limits,
+        expires_at: expiresAt,
+        reasoning_mode: reasoningMode,
+        created_at: new Date().toISOString(),
+        revoked_at: null,
+        usage: null,
+    };
+    apiKeys.push(record);
+    saveApiKeys();
+    return { record, key };
+}
+
+function describeApiKey(record) {
+    const { key_hash, usage, ...fields } = record;
+    return {
+        ...fields,
+        status: getApiKeyStatus(record),
+        usage_today: { ...getApiKeyUsage(record) },
+    };
+}
+
+// Error body in the wire format of the route being called
+function sendAuthError(req, res, status, message, type) {
+    if (req.baseUrl === '/v1' && req.path === '/messages') {
+        return res.status(status).json({
+            type: 'error',
+            error: { type, message },
+        });
+    }
+    if (req.baseUrl.startsWith('/api')) {
+        return res.status(status).json({ error: message });
+    }
+    return res.status(status).json({ error: { message, type } });
+}
+
+// Accepts ROUTER_API_KEY or an active managed key (attached as req.apiKey).
+// With neither configured the router stays open, as before.
+function authenticate(req, res, next) {
+    const presented = getRouterApiKey(req);
+    req.apiKey = null;
+    if (!ROUTER_API_KEY && apiKeys.length === 0) return next();
+    if (ROUTER_API_KEY && presented === ROUTER_API_KEY) return next();
+
+    const record = presented && findApiKey(presented);
+    if (!record) {
+        return sendAuthError(
+            req,
+            res,
+            401,
+            'Unauthorized: Invalid Router API Key',
+            'authentication_error',
+        );
+    }
+    const status = getApiKeyStatus(record);
+    if (status !== 'active') {
+        return sendAuthError(
+            req,
+            res,
+            401,
+            status === 'expired'
+                ? 'Unauthorized: API key has expired'
+                : 'Unauthorized: API key has been revoked',
+            'authentication_error',
+        );
+    }
+    req.apiKey = record;
+    next();
+}
+
+// Admin routes take ADMIN_API_KEY (defaults to ROUTER_API_KEY)
+function requireAdmin(req, res, next) {
+    const adminKey = ADMIN_API_KEY || ROUTER_API_KEY;
+    if (!adminKey) {
+        return res.status(403).json({
+            error: {
+                message:
+                    'Admin endpoints are disabled. Set ADMIN_API_KEY or ROUTER_API_KEY.',
+                type: 'permission_error',
+            },
+        });
+    }
+    if (getRouterApiKey(req) !== adminKey) {
+        return res.status(401).json({
+            error: {
+                message: 'Unauthorized: Invalid Admin API Key',
+                type: 'authentication_error',
+            },
+        });
+    }
+    next();
+}
+
+// ─── Usage Accounting ───────────────────────────────────────────────────────
+// One JSONL line per request (tokens, model, key, account, latency, status)
+// appended to USAGE_LOG_PATH; /v1/usage aggregates it by day, model and key.
+
+const USAGE_GROUP_FIELDS = ['day', 'model', 'key'];
+
+function appendUsageLog(entry) {
+    fs.appendFile(USAGE_LOG_PATH, `${JSON.stringify(entry)}\n`, (err) => {
+        if (err)
+            log.warn('⚠️ Failed to write usage log', { error: err.message });
+    });
+}
+
+function buildUsageEntry({
+    requestId,
+    model,
+    apiKey,
+    account,
+    status,
+    stream,
+    startedAt,
+    usage,
+}) {
+    return {
+        time: new Date().toISOString(),
+        request_id: requestId,
+        model,
+        key_id: apiKey?.id || null,
+        account: account?.id || null,
+        status,
+        stream,
+        latency_ms: Date.now() - startedAt,
+        prompt_tokens: usage?.prompt_tokens || 0,
+        completion_tokens: usage?.completion_tokens || 0,
+        cached_tokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+        total_tokens: usage?.total_tokens || 0,
+    };
+}
+
+// Stream the log and sum entries per group; start/end are inclusive UTC days
+async function aggregateUsage({ groupBy, start, end, keyId }) {
+    const groups = new Map();
+    if (!fs.existsSync(USAGE_LOG_PATH)) return [];
+
+    const lines = require('readline').createInterface({
+        input: fs.createReadStream(USAGE_LOG_PATH),
+        crlfDelay: Infinity,
+    });
+    for await (const line of lines) {
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch {
+            continue; // Partially written line
+        }
+        const day = entry.time.slice(0, 10);
+        if ((start && day < start) || (end && day > end)) continue;
+        if (keyId !== undefined && entry.key_id !== keyId) continue;
+
+        const fields = { day, model: entry.model, key: entry.key_id };
+        const groupKey = groupBy.map((field) => fields[field]).join('\u0000');
+        let group = groups.get(groupKey);
+        if (!group) {
+            group = {
+                ...Object.fromEntries(
+                    groupBy.map((field) => [field, fields[field]]),
+                ),
+                requests: 0,
+                errors: 0,
+                prompt_tokens: 0,
+                completion_tokens: 0,
+                cached_tokens: 0,
+                total_tokens: 0,
+                latency_ms: 0,
+            };
+            groups.set(groupKey, group);
+        }
+        group.requests++;
+        if (entry.status >= 400) group.errors++;
+        group.prompt_tokens += entry.prompt_tokens;
+        group.completion_tokens += entry.completion_tokens;
+        group.cached_tokens += entry.cached_tokens;
+        group.total_tokens += entry.total_tokens;
+        group.latency_ms += entry.latency_ms;
+    }
+
+    // Oldest day first, heaviest consumers first within a day
+    return [...groups.values()]
+        .sort(
+            (a, b) =>
+                (a.day || '').localeCompare(b.day || '') ||
+                b.total_tokens - a.total_tokens,
+        )
+        .map(({ latency_ms, ...group }) => {
+            if (group.key !== undefined) {
+                group.key_label =
+                    apiKeys.find((k) => k.id === group.key)?.label ?? null;
+            }
+            return {
+                ...group,
+                avg_latency_ms: Math.round(latency_ms / group.requests),
+            };
+        });
+}
+
+// ─── Metrics ────────────────────────────────────────────────────────────────
+// Minimal Prometheus registry (counters, gauges, histograms) rendered in the
+// text exposition format by GET /metrics. Gauges are sampled at scrape time.
+
+const metrics = new Map(); // name → { type, help, buckets, series }
+
+const DURATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60, 120, 300];
+const FIRST_TOKEN_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10, 30];
+
+function defineMetric(name, type, help, buckets) {
+    metrics.set(name, { type, help, buckets, series: new Map() });
+}
+
+defineMetric(
+    'qwen_router_requests_total',
+    'counter',
+    'Completed requests by route, model and HTTP status',
+);
+defineMetric(
+    'qwen_router_request_duration_seconds',
+    'histogram',
+    'Request latency from arrival to the final response',
+    DURATION_BUCKETS,
+);
+defineMetric(
+    'qwen_router_time_to_first_token_seconds',
+    'histogram',
+    'Streaming latency from arrival to the first upstream chunk',
+    FIRST_TOKEN_BUCKETS,
+);
+defineMetric(
+    'qwen_router_upstream_rate_limits_total',
+    'counter',
+    'Upstream 429 responses by account',
+);
+defineMetric(
+    'qwen_router_retries_total',
+    'counter',
+    'Upstream retries by reason (auth, account_switch, backoff, fallback)',
+);
+defineMetric(
+    'qwen_router_token_refreshes_total',
+    'counter',
+    'OAuth token refreshes by account and result',
+);
+defineMetric(
+    'qwen_router_token_expiry_seconds',
+    'gauge',
+    'Seconds until the account access token expires',
+);
+defineMetric(
+    'qwen_router_tokens_total',
+    'counter',
+    'Tokens reported by the upstream, by model and type',
+);
+defineMetric(
+    'qwen_router_response_cache_total',
+    'counter',
+    'Response cache lookups by result (hit, miss, bypass)',
+);
+defineMetric(
+    'qwen_router_inflight_requests',
+    'gauge',
+    'Upstream calls currently in flight',
+);
+defineMetric(
+    'qwen_router_queued_requests',
+    'gauge',
+    'Requests waiting in the scheduler queue',
+);
+
+function formatLabels(labels) {
+    const pairs = Object.entries(labels).map(
+        ([key, value]) =>
+            `${key}="${String(value ?? '')
+                .replace(/\\/g, '\\\\')
+                .replace(/"/g, '\\"')
+                .replace(/\n/g, '\\n')}"`,
+    );
+    return pairs.length > 0 ? `{${pairs.join(',')}}` : '';
+}
+
+function getSeries(name, labels) {
+    const metric = metrics.get(name);
+    const key = formatLabels(labels);
+    let series = metric.series.get(key);
+    if (!series) {
+        series =
+            metric.type === 'histogram'
+                ? {
+                      labels,
+                      counts: metric.buckets.map(() => 0),
+                      sum: 0,
+                      count: 0,
+                  }
+                : { labels, value: 0 };
+        metric.series.set(key, series);
+    }
+    return series;
+}
+
+function incCounter(name, labels = {}, value = 1) {
+    getSeries(name, labels).value += value;
+}
+
+function setGauge(name, labels, value) {
+    getSeries(name, labels).value = value;
+}
+
+function observeHistogram(name, labels, value) {
+    const series = getSeries(name, labels);
+    metrics.get(name).buckets.forEach((bound, i) => {
+        if (value <= bound) series.counts[i]++;
+    });
+    series.sum += value;
+    series.count++;
+}
+
+function collectGauges() {
+    const now = Date.now();
+    const expiry = metrics.get('qwen_router_token_expiry_seconds');
+    expiry.series.clear();
+    for (const account of accounts) {
+        if (!account.credentials?.expiry_date) continue;
+        setGauge(
+            'qwen_router_token_expiry_seconds',
+            { account: account.id },
+            Math.round((account.credentials.expiry_date - now) / 1000),
+        );
+    }
+    setGauge('qwen_router_inflight_requests', {}, scheduler.inFlight);
+    setGauge('qwen_router_queued_requests', {}, scheduler.queue.length);
+}
+
+function renderMetrics() {
+    collectGauges();
+    const lines = [];
+    for (const [name, metric] of metrics) {
+        lines.push(`# HELP ${name} ${metric.help}`);
+        lines.push(`# TYPE ${name} ${metric.type}`);
+        for (const series of metric.series.values()) {
+            if (metric.type !== 'histogram') {
+                lines.push(
+                    `${name}${formatLabels(series.labels)} ${series.value}`,
+                );
+                continue;
+            }
+            metric.buckets.forEach((bound, i) => {
+                lines.push(
+                    `${name}_bucket${formatLabels({ ...series.labels, le: bound })} ${series.counts[i]}`,
+                );
+            });
+            lines.push(
+                `${name}_bucket${formatLabels({ ...series.labels, le: '+Inf' })} ${series.count}`,
+            );
+            lines.push(
+                `${name}_sum${formatLabels(series.labels)} ${series.sum}`,
+            );
+            lines.push(
+                `${name}_count${formatLabels(series.labels)} ${series.count}`,
+            );
+        }
+    }
+    return `${lines.join('\n')}\n`;
+}
+
+// Model label for metrics: the catalog id, or 'other' so arbitrary client
+// model names cannot grow the series count without bound
+function metricModelLabel(name) {
+    return findModel(name)?.id || 'other';
+}
+
+// Outcome metrics for one handled request
+function recordRequestMetrics({ route, model, status, startedAt, usage }) {
+    model = metricModelLabel(model);
+    const labels = { route: route || 'unknown', model };
+    incCounter('qwen_router_requests_total', { ...labels, status });
+    observeHistogram(
+        'qwen_router_request_duration_seconds',
+        labels,
+        (Date.now() - startedAt) / 1000,
+    );
+    if (!usage) return;
+    for (const [type, value] of [
+        ['prompt', usage.prompt_tokens],
+        ['completion', usage.completion_tokens],
+        ['cached', usage.prompt_tokens_details?.cached_tokens],
+    ]) {
+        if (value)
+            incCounter('qwen_router_tokens_total', { model, type }, value);
+    }
+}
+
+// ─── Request Handler ────────────────────────────────────────────────────────
+// Unified handler for ALL requests (replaces hybrid CLI/API routing).
+// Uses OpenAI SDK with DashScope headers — same as Qwen CLI internally.
+
+// Default response adapter: OpenAI chat.completion wire format.
+// Other API surfaces (Anthropic, ...) supply their own adapter with the same
+// methods and receive the OpenAI-shaped data to translate.
+function createOpenAIAdapter(res) {
+    return {
+        beginStream() {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+        },
+        writeChunk(chunk) {
+            res.write(`data: ${JSON.stringify(chunk)}\n\n`);
+        },
+        // SSE comment, ignored by clients — keeps idle connections open
+        writeComment(text) {
+            res.write(`: ${text}\n\n`);
+        },
+        endStream() {
+            res.write('data: [DONE]\n\n');
+            res.end();
+        },
+        sendResponse(data) {
+            res.json(data);
+        },
+        sendError(status, error) {
+            res.status(status).json({ error });
+        },
+        // Upstream failed after the stream started
+        abortStream(status, error) {
+            if (res.writableEnded) return;
+            res.write(`event: error\ndata: ${JSON.stringify({ error })}\n\n`);
+            res.end();
+        },
+    };
+}
+
+async function handleChatCompletion(reqBody, requestId, res, options = {}) {
+    const {
+        clientKey,
+        priority,
+        contextMode = CONTEXT_MANAGEMENT,
+        apiKey,
+        route,
+        cacheControl = '',
+        reasoningMode = REASONING_MODE,
+    } = options;
+    const adapter = withReasoningMode(
+        options.adapter || createOpenAIAdapter(res),
+        reasoningMode,
+    );
+    const startedAt = Date.now();
+    const triedAccounts = new Set(); // Accounts already attempted this round
+    const authRetried = new Set(); // Accounts already refreshed after 401/403
+
+    // Pick an account from the pool that has (or can refresh to) a valid token.
+    // With allowCooling, a rate-limited account is still better than none —
+    // the shared scheduler backoff already spaced this attempt out.
+    const acquireAccount = async ({ allowCooling = false } = {}) => {
+        for (const ignoreCooldown of allowCooling ? [false, true] : [false]) {
+            let candidate;
+            while (
+                (candidate = selectAccount({
+                    clientKey,
+                    exclude: triedAccounts,
+                    ignoreCooldown,
+                }))
+            ) {
+                triedAccounts.add(candidate);
+                const candidateToken = await ensureValidToken(candidate);
+                if (candidateToken) {
+                    return { account: candidate, token: candidateToken };
+                }
+            }
+            triedAccounts.clear();
+        }
+        return null;
+    };
+
+    let account = null;
+    let client = null;
+
+    // Point the client at another account (or a refreshed token)
+    const useAccount = (next) => {
+        if (next.account !== account) next.account.requestCount++;
+        account = next.account;
+        if (!client) {
+            client = createOpenAIClient(account, next.token);
+            log.info(
+                `  → API: ${client.baseURL} (model: ${model}, account: ${account.id})`,
+            );
+            return;
+        }
+        client.apiKey = next.token;
+        client.baseURL = getApiBaseUrl(account);
+    };
+
+    const stream = !!reqBody.stream;
+    const promptId = crypto.randomUUID();
+
+    // Map model — 'coder-model' is the CLI default, API resolves it server-side;
+    // catalog aliases (gpt-4o, claude-3-5-sonnet) become their Qwen model
+    const requestedModel = reqBody.model || DEFAULT_MODEL;
+    const model = resolveModelId(requestedModel);
+    if (model !== requestedModel) {
+        log.info(`  → Model alias: ${requestedModel} → ${model}`);
+    }
+    const modelInfo = findModel(model);
+    // Fallback chain position; activeModel is the model currently being tried
+    const modelChain = [model, ...getFallbackChain(model, apiKey)];
+    let activeModel = model;
+
+    let messages = reqBody.messages || [];
+    let tools = reqBody.tools || null;
+    log.debug('  → Messages', { messages });
+    let toolChoice = reqBody.tool_choice;
+    let toolNames = null; // Compact → original names, when tools were renamed
+
+    // Shrink heavy tool payloads (filter, trim, dedupe) when configured
+    if (Array.isArray(tools) && tools.length > 0 && toolCompactionEnabled()) {
+        const compacted = compactTools(tools, messages, toolChoice);
+        ({ tools, messages, toolChoice, toolNames } = compacted);
+        log.info(`  🗜️ Tools compacted: ${compacted.report}`);
+        if (!res.headersSent) {
+            res.setHeader('X-Tools-Compacted', compacted.report);
+        }
+    }
+
+    // Opt-in: shrink history that would overflow the model's context window
+    if (contextMode !== 'off') {
+        const fitted = await fitContextWindow(messages, tools, {
+            model,
+            mode: contextMode,
+            maxTokens: reqBody.max_tokens,
+            clientKey,
+            priority,
+        });
+        messages = fitted.messages;
+        if (fitted.report) {
+            log.info(`  ✂️ Context trimmed: ${fitted.report}`);
+            if (!res.headersSent) {
+                res.setHeader('X-Context-Dropped', fitted.report);
+            }
+        }
+    }
+
+    // Build request body matching CLI's pipeline (cli.js#L141951-L141967)
+    const { messages: cachedMsgs, tools: cachedTools } = addCacheControl(
+        messages,
+        tools,
+        stream,
+    );
+
+    const requestParams = {
+        model: model,
+        messages: cachedMsgs,
+        // Metadata (cli.js#L141557-L141602)
+        metadata: {
+            sessionId: SESSION_ID,
+            promptId: promptId,
+            channel: 'SDK',
+        },
+    };
+
+    // Forward all OpenAI-compatible params
+    if (cachedTools) requestParams.tools = cachedTools;
+    if (reqBody.functions) requestParams.functions = reqBody.functions;
+    if (toolChoice) requestParams.tool_choice = toolChoice;
+    if (reqBody.function_call)
+        requestParams.function_call = reqBody.function_call;
+    if (reqBody.max_tokens) {
+        // Clamp to the model's limit instead of letting the upstream reject it
+        requestParams.max_tokens = modelInfo?.max_output_tokens
+            ? Math.min(reqBody.max_tokens, modelInfo.max_output_tokens)
+            : reqBody.max_tokens;
+    }
+    if (reqBody.temperature !== undefined)
+        requestParams.temperature = reqBody.temperature;
+    if (reqBody.top_p !== undefined) requestParams.top_p = reqBody.top_p;
+    if (reqBody.stop) requestParams.stop = reqBody.stop;
+    if (reqBody.presence_penalty !== undefined)
+        requestParams.presence_penalty = reqBody.presence_penalty;
+    if (reqBody.frequency_penalty !== undefined)
+        requestParams.frequency_penalty = reqBody.frequency_penalty;
+    if (reqBody.response_format)
+        requestParams.response_format = reqBody.response_format;
+    // DashScope thinking switches for hybrid-reasoning models
+    if (reqBody.enable_thinking !== undefined)
+        requestParams.enable_thinking = reqBody.enable_thinking;
+    if (reqBody.thinking_budget !== undefined)
+        requestParams.thinking_budget = reqBody.thinking_budget;
+
+    // Request weight, reserved from the token budget before each attempt
+    const rawEstimate = estimateRawTokens(
+        requestParams.messages,
+        requestParams.tools,
+    );
+    const estimatedTokens = Math.ceil(rawEstimate * tokenBudget.estimateFactor);
+
+    // Usage log line and metrics for the request's final outcome
+    const logRequest = (status, usage) => {
+        appendUsageLog(
+            buildUsageEntry({
+                requestId,
+                model: activeModel,
+                apiKey,
+                account,
+                status,
+                stream,
+                startedAt,
+                usage,
+            }),
+        );
+        recordRequestMetrics({
+            route,
+            model: activeModel,
+            status,
+            startedAt,
+            usage,
+        });
+    };
+
+    if (TOKENS_PER_MINUTE > 0 && estimatedTokens > TOKENS_PER_MINUTE) {
+        logRequest(413);
+        return adapter.sendError(413, {
+            message: `Request too large: ~${estimatedTokens} estimated tokens exceeds the ${TOKENS_PER_MINUTE} tokens/min budget`,
+            type: 'request_too_large',
+        });
+    }
+    let settleKeyTokens = () => {};
+    if (apiKey) {
+        const denied = checkApiKeyQuota(apiKey, model, estimatedTokens);
+        if (denied) {
+            log.info(`  🔑 Key ${apiKey.id}: ${denied.message}`);
+            logRequest(denied.status);
+            return adapter.sendError(denied.status, {
+                message: denied.message,
+                type: denied.type,
+            });
+        }
+        recordApiKeyRequest(apiKey);
+        settleKeyTokens = reserveApiKeyTokens(apiKey, estimatedTokens);
+    }
+
+    // Response cache — after the quota checks, so key scopes still apply
+    let cacheKey = null;
+    if (RESPONSE_CACHE !== 'off' && isCacheableRequest(reqBody)) {
+        const bypass = /no-cache|no-store/i.test(cacheControl);
+        if (!/no-store/i.test(cacheControl)) {
+            cacheKey = responseCacheKey(model, reqBody);
+        }
+        const cached = bypass ? null : await getCachedResponse(cacheKey);
+        const result = cached ? 'hit' : bypass ? 'bypass' : 'miss';
+        incCounter('qwen_router_response_cache_total', { result });
+        if (!res.headersSent) res.setHeader('X-Cache', result.toUpperCase());
+        if (cached) {
+            log.info(`  💾 Cache hit (${cacheKey.slice(0, 12)})`);
+            activeModel = cached.model || model;
+            if (!res.headersSent) res.setHeader('X-Served-Model', activeModel);
+            settleKeyTokens();
+            logRequest(200);
+            if (stream) return streamCachedResponse(adapter, cached, requestId);
+            return adapter.sendResponse({
+                ...cached,
+                id: requestId,
+                created: Math.floor(Date.now() / 1000),
+            });
+        }
+    }
+
+    // Billable usage from the upstream response
+    const recordUsage = (usage) => {
+        learnFromUsage(rawEstimate, estimatedTokens, usage);
+        settleKeyTokens(usage);
+        logRequest(200, usage);
+    };
+
+    // Streams that have to wait — queued, paused for a 429 backoff or
+    // refreshing a token — send their headers right away, then a `: waiting`
+    // comment every STREAM_KEEPALIVE_MS so clients and proxies don't drop the
+    // silent connection. Adapters without comments (Ollama NDJSON) stay quiet.
+    let streamStarted = false;
+    const startStream = () => {
+        if (streamStarted) return;
+        streamStarted = true;
+        adapter.beginStream();
+    };
+    const keepAlive = async (promise, describe) => {
+        if (!stream || STREAM_KEEPALIVE_MS <= 0 || !adapter.writeComment) {
+            return promise;
+        }
+        let settled = false;
+        promise.then(
+            () => (settled = true),
+            () => (settled = true),
+        );
+        // Granted without waiting → nothing to keep alive
+        await new Promise((resolve) => setImmediate(resolve));
+        if (settled || res.writableEnded) return promise;
+        startStream();
+        const beat = () => {
+            if (res.writableEnded || res.destroyed) return;
+            adapter.writeComment(
+                STREAM_KEEPALIVE_STATUS ? `waiting (${describe()})` : 'waiting',
+            );
+        };
+        beat();
+        const timer = setInterval(beat, STREAM_KEEPALIVE_MS);
+        try {
+            return await promise;
+        } finally {
+            clearInterval(timer);
+        }
+    };
+    const describeQueueWait = (attempt) => {
+        const pausedMs = scheduler.pausedUntil - Date.now();
+        if (pausedMs <= 0) return 'queued';
+        const resumeIn = `${Math.ceil(pausedMs / 1000)}s`;
+        return attempt > 0
+            ? `rate limited, retry ${attempt}/${MAX_RETRIES} in ${resumeIn}`
+            : `rate limited, resuming in ${resumeIn}`;
+    };
+    const describeRefresh = () => 'refreshing token';
+
+    // Cancellation — a client disconnect or DELETE /admin/requests/:id aborts
+    // the upstream call, takes the request out of the queue and ends retries.
+    // Callers sharing `res` between calls pass a controller and watch it.
+    const controller = options.controller || new AbortController();
+    const { signal } = controller;
+    if (!options.controller) {
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort('client disconnected');
+        });
+    }
+    const inFlight = {
+        requestId,
+        route,
+        stream,
+        apiKey,
+        startedAt,
+        controller,
+        state: 'queued',
+        attempt: 0,
+        get model() {
+            return activeModel;
+        },
+    };
+    // `usage` is what a stream cut short had already consumed
+    const finishCancelled = (usage = null) => {
+        log.info(`  🚫 Request cancelled (${signal.reason})`);
+        if (usage) settleKeyTokens(usage);
+        logRequest(499, usage);
+        if (res.writableEnded || res.destroyed) return;
+        const error = {
+            message: `Request cancelled: ${signal.reason}`,
+            type: 'request_cancelled',
+        };
+        return res.headersSent
+            ? adapter.abortStream(499, error)
+            : adapter.sendError(499, error);
+    };
+
+    // Wrap in credential management (cli.js#L144810-L144830)
+    let reselectAccount = true; // Pick an account once a slot is granted
+
+    const executeWithRetry = async (attempt = 0) => {
+        inFlight.state = 'queued';
+        inFlight.attempt = attempt;
+        const release = await keepAlive(
+            acquireSlot(priority, estimatedTokens, signal),
+            () => describeQueueWait(attempt),
+        );
+        if (!release) return finishCancelled();
+        inFlight.state = 'upstream';
+        let delivered = false; // Upstream produced output for this attempt
+        let streamUsage = null;
+        let streamedChars = 0; // Text sent so far, for partialUsage()
+        // Usage of a stream cut short: the upstream's figures if its usage
+        // chunk arrived, otherwise estimated from the prompt and text sent
+        const partialUsage = () => {
+            if (!stream || !delivered) return null;
+            if (streamUsage) return streamUsage;
+            const completionTokens = Math.ceil(streamedChars / 4);
+            return {
+                prompt_tokens: estimatedTokens,
+                completion_tokens: completionTokens,
+                total_tokens: estimatedTokens + completionTokens,
+            };
+        };
+        if (reselectAccount) {
+            // First attempt, or backoff is over — take whoever recovered
+            reselectAccount = false;
+            triedAccounts.clear();
+            const next = await keepAlive(
+                acquireAccount({ allowCooling: true }),
+                describeRefresh,
+            );
+            if (next) {
+                useAccount(next);
+            } else if (!account) {
+                release();
+                refundTokens(estimatedTokens);
+                logRequest(500);
+                const error = {
+                    message: 'No valid OAuth token. Run: node server.js login',
+                    type: 'auth_error',
+                };
+                return res.headersSent
+                    ? adapter.abortStream(500, error)
+                    : adapter.sendError(500, error);
+            }
+        }
+        // Client left while the token was refreshing
+        if (signal.aborted) {
+            release();
+            refundTokens(estimatedTokens);
+            return finishCancelled();
+        }
+        // Named once a model answers; headers a keep-alive already flushed
+        // could only name a model that might still fail
+        const setServedModel = () => {
+            if (!res.headersSent) res.setHeader('X-Served-Model', activeModel);
+        };
+        try {
+            if (stream) {
+                // Stream options (cli.js#L141951)
+                requestParams.stream = true;
+                requestParams.stream_options = { include_usage: true };
+
+                const streamResponse = await client.chat.completions.create(
+                    requestParams,
+                    { signal },
+                );
+
+                // Set SSE headers, unless a wait already sent them
+                delivered = true;
+                setServedModel();
+                inFlight.state = 'streaming';
+                startStream();
+
+                // Pipe SSE chunks to response
+                let streamed = null; // Assembled completion, for the cache
+                let firstChunkSeen = false;
+                for await (const chunk of streamResponse) {
+                    if (!firstChunkSeen) {
+                        firstChunkSeen = true;
+                        observeHistogram(
+                            'qwen_router_time_to_first_token_seconds',
+                            {
+                                route: route || 'unknown',
+                                model: metricModelLabel(activeModel),
+                            },
+                            (Date.now() - startedAt) / 1000,
+                        );
+                    }
+                    if (chunk.usage) streamUsage = chunk.usage;
+                    for (const { delta } of chunk.choices || []) {
+                        streamedChars +=
+                            (delta?.content?.length || 0) +
+                            (delta?.reasoning_content?.length || 0);
+                        for (const call of delta?.tool_calls || []) {
+                            streamedChars +=
+                                call.function?.arguments?.length || 0;
+                        }
+                    }
+                    const sseData = {
+                        id: chunk.id || requestId,
+                        object: 'chat.completion.chunk',
+                        created: chunk.created || Math.floor(Date.now() / 1000),
+                        model: chunk.model || activeModel,
+                        choices: chunk.choices || [],
+                        ...(chunk.usage ? { usage: chunk.usage } : {}),
+                    };
+                    restoreToolNames(sseData.choices, toolNames);
+                    adapter.writeChunk(sseData);
+                    if (cacheKey)
+                        streamed = mergeStreamChunk(streamed, sseData);
+                }
+
+                recordUsage(streamUsage);
+                adapter.endStream();
+                if (streamed?.choices[0].finish_reason) {
+                    cacheResponse(cacheKey, streamed);
+                }
+            } else {
+                const response = await client.chat.completions.create(
+                    requestParams,
+                    { signal },
+                );
+                delivered = true;
+                setServedModel();
+                recordUsage(response.usage);
+
+                // Pass through the response — it's already OpenAI-compatible
+                const data = {
+                    id: response.id || requestId,
+                    object: 'chat.completion',
+                    created: response.created || Math.floor(Date.now() / 1000),
+                    model: response.model || activeModel,
+                    choices: response.choices || [],
+                    usage: response.usage || {
+                        prompt_tokens: 0,
+                        completion_tokens: 0,
+                        total_tokens: 0,
+                    },
+                    system_fingerprint: response.system_fingerprint || null,
+                };
+                restoreToolNames(data.choices, toolNames);
+                adapter.sendResponse(data);
+                if (cacheKey) cacheResponse(cacheKey, data);
+            }
+        } catch (error) {
+            // Free the slot so retries queue like any other request
+            release();
+            if (!delivered) refundTokens(estimatedTokens);
+            // Nobody is waiting for a retry
+            if (signal.aborted) return finishCancelled(partialUsage());
+
+            // Auth error → refresh and retry once per account (cli.js#L144810-L144830)
+            if (isAuthError(error) && !authRetried.has(account)) {
+                authRetried.add(account);
+                log.info('  → Auth error, refreshing token...');
+                const newToken = await keepAlive(
+                    refreshToken(account),
+                    describeRefresh,
+                );
+                // Refresh failed (e.g. revoked) → fall over to another account
+                const next = newToken
+                    ? { account, token: newToken }
+                    : await keepAlive(acquireAccount(), describeRefresh);
+                if (next) {
+                    useAccount(next);
+                    incCounter('qwen_router_retries_total', { reason: 'auth' });
+                    log.info(
+                        `  → Retrying with refreshed token (account: ${account.id})...`,
+                    );
+                    return executeWithRetry(attempt + 1);
+                }
+            }
+
+            // Handle other errors
+            const status = error.status || error.response?.status || 500;
+            const errMsg = error.message || 'Unknown error';
+
+            log.error(`  → API Error (${status}): ${errMsg}`);
+
+            if (status === 429) {
+                incCounter('qwen_router_upstream_rate_limits_total', {
+                    account: account.id,
+                });
+                // Take this account out of rotation; another may still have quota
+                markAccountLimited(account, getRetryAfterMs(error));
+                const next = await keepAlive(acquireAccount(), describeRefresh);
+                if (next) {
+                    useAccount(next);
+                    incCounter('qwen_router_retries_total', {
+                        reason: 'account_switch',
+                    });
+                    log.info(`  → Switching to account ${account.id}...`);
+                    return executeWithRetry(attempt);
+                }
+                // No account left to take the load — the router is over it
+                learnFromRateLimit();
+            }
+
+            // 429 → pause the shared queue with exponential backoff and retry
+            if (status === 429 && attempt < MAX_RETRIES) {
+                const baseWait = getRetryAfterMs(error) || RATE_LIMIT_RETRY_MS;
+                // Exponential backoff: 10s → 20s → 40s (or Retry-After based)
+                const waitMs = baseWait * Math.pow(2, attempt);
+                log.info(
+                    `  ⏳ Rate limited (attempt ${attempt + 1}/${MAX_RETRIES}). Pausing queue for ${(waitMs / 1000).toFixed(0)}s...`,
+                );
+                pauseScheduler(waitMs);
+                incCounter('qwen_router_retries_total', { reason: 'backoff' });
+                reselectAccount = true;
+                return executeWithRetry(attempt + 1);
+            }
+
+            // Still rate limited, upstream 5xx or timeout → next model in the
+            // fallback chain, as long as nothing reached the client yet
+            const fallbackIndex = modelChain.indexOf(activeModel) + 1;
+            if (
+                !delivered &&
+                fallbackIndex < modelChain.length &&
+                isFallbackError(error)
+            ) {
+                log.info(
+                    `  ↪️ Falling back from ${activeModel} to ${modelChain[fallbackIndex]} (${status})`,
+                );
+                activeModel = modelChain[fallbackIndex];
+                requestParams.model = activeModel;
+                incCounter('qwen_router_retries_total', { reason: 'fallback' });
+                reselectAccount = true;
+                return executeWithRetry(attempt);
+            }
+
+            // Output already reached the client — bill what it consumed
+            const usage = partialUsage();
+            if (usage) settleKeyTokens(usage);
+            logRequest(status, usage);
+            if (!res.headersSent) {
+                if (status === 429) {
+                    const retryAfterMs = getRetryAfterMs(error);
+                    if (retryAfterMs) {
+                        res.setHeader(
+                            'Retry-After',
+                            Math.ceil(retryAfterMs / 1000),
+                        );
+                    }
+                }
+                adapter.sendError(status, {
+                    message: errMsg,
+                    type: error.type || 'api_error',
+                    code: error.code || null,
+                });
+            } else {
+                adapter.abortStream(status, {
+                    message: errMsg,
+                    type: error.type || 'api_error',
+                    code: error.code || null,
+                });
+            }
+        } finally {
+            release();
+        }
+    };
+
+    inFlightRequests.set(requestId, inFlight);
+    try {
+        return await executeWithRetry();
+    } finally {
+        inFlightRequests.delete(requestId);
+        // Errors and cancels end here without usage — free the reservation
+        settleKeyTokens();
+    }
+}
+
+// Worth another model: rate limits, upstream 5xx, connection errors and
+// timeouts — not request errors, or local failures without an upstream status
+function isFallbackError(error) {
+    return (
+        error.status === 429 ||
+        error.status >= 500 ||
+        error instanceof OpenAI.APIConnectionError // Includes timeouts
+    );
+}
+
+function isAuthError(error) {
+    const status = error.status || error.response?.status;
+    return status === 401 || status === 403;
+}
+
+// Retry-After from an SDK error (Headers instance) or axios error (plain object)
+function getRetryAfterMs(error) {
+    const headers = error.headers || error.response?.headers;
+    const value =
+        typeof headers?.get === 'function'
+            ? headers.get('retry-after')
+            : headers?.['retry-after'];
+    const seconds = parseInt(value, 10);
+    return Number.isFinite(seconds) ? seconds * 1000 : null;
+}
+
+// Router API key from `Authorization: Bearer` or Anthropic-style `x-api-key`
+function getRouterApiKey(req) {
+    const authHeader = req.headers['authorization'];
+    return (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key'];
+}
+
+// Per-request options shared by every route that calls handleChatCompletion
+function getRequestContext(req) {
+    return {
+        clientKey: getClientKey(req),
+        priority: getRequestPriority(req),
+        contextMode: getContextMode(req),
+        apiKey: req.apiKey || null,
+        route: req.route?.path,
+        cacheControl: req.headers['cache-control'] || '',
+        reasoningMode: getReasoningMode(req),
+    };
+}
+
+// Identifies a client for sticky account assignment
+function getClientKey(req) {
+    return req.headers['x-client-id'] || getRouterApiKey(req) || req.ip;
+}
+
+// ─── Models ──────────────────────────────────────────────────────────────────
+// Catalog of served models with their limits and capabilities. MODELS_PATH
+// replaces the built-in list; aliases let clients that hardcode OpenAI or
+// Anthropic names (gpt-4o, claude-3-5-sonnet) reach a Qwen model. With
+// MODEL_DISCOVERY, models from the upstream's /models are merged in.
+
+const BUILTIN_MODELS = [
+    {
+        id: 'coder-model',
+        context_length: 1000000,
+        max_output_tokens: 65536,
+        tools: true,
+        vision: false,
+    },
+    {
+        id: 'vision-model',
+        context_length: 262144,
+        max_output_tokens: 32768,
+        tools: true,
+        vision: true,
+    },
+    {
+        id: 'qwen3-coder-plus',
+        context_length: 1000000,
+        max_output_tokens: 65536,
+        tools: true,
+        vision: false,
+        aliases: ['gpt-4o', 'gpt-4', 'gpt-4-turbo', 'claude-3-5-sonnet'],
+    },
+    {
+        id: 'qwen3-coder-flash',
+        context_length: 1000000,
+        max_output_tokens: 65536,
+        tools: true,
+        vision: false,
+        aliases: ['gpt-4o-mini', 'gpt-3.5-turbo', 'claude-3-5-haiku'],
+    },
+];
+
+const modelCatalog = {
+    models: [], // Configured entries (built-in or MODELS_PATH)
+    aliases: new Map(), // alias → model id
+    fallbacks: new Map(), // model id → model ids to try next, in order
+    discovered: [], // From the upstream /models, merged after configured ones
+    discoveredAt: 0,
+    discovery: null, // In-flight discovery request
+};
+
+function normalizeModelEntry(entry, created) {
+    return {
+        id: entry.id,
+        object: 'model',
+        created: entry.created || created,
+        owned_by: entry.owned_by || 'qwen',
+        context_length: entry.context_length || null,
+        max_output_tokens: entry.max_output_tokens || null,
+        tools: entry.tools ?? null,
+        vision: entry.vision ?? null,
+        aliases: Array.isArray(entry.aliases) ? entry.aliases : [],
+        fallbacks: Array.isArray(entry.fallbacks) ? entry.fallbacks : [],
+    };
+}
+
+// MODELS_PATH holds an array of entries (or { models: [...] }); a missing or
+// broken file falls back to the built-in catalog
+function loadModelCatalog() {
+    let entries = BUILTIN_MODELS;
+    let created = Math.floor(Date.now() / 1000);
+    if (MODELS_PATH) {
+        try {
+            const data = JSON.parse(fs.readFileSync(MODELS_PATH, 'utf-8'));
+            const list = Array.isArray(data) ? data : data.models;
+            if (!Array.isArray(list))
+                throw new Error('Expected a models array');
+            entries = list.filter((entry) => {
+                if (typeof entry?.id === 'string' && entry.id) return true;
+                log.warn('⚠️ Skipping model catalog entry without an id', {
+                    entry,
+                });
+                return false;
+            });
+            created = Math.floor(fs.statSync(MODELS_PATH).mtimeMs / 1000);
+        } catch (e) {
+            log.warn(`⚠️ Failed to load model catalog ${MODELS_PATH}`, {
+                error: e.message,
+            });
+        }
+    }
+
+    modelCatalog.models = entries.map((entry) =>
+        normalizeModelEntry(entry, created),
+    );
+    modelCatalog.aliases.clear();
+    for (const model of modelCatalog.models) {
+        for (const alias of model.aliases) {
+            modelCatalog.aliases.set(alias.toLowerCase(), model.id);
+        }
+    }
+
+    modelCatalog.fallbacks.clear();
+    const chains = modelCatalog.models.map((m) => [m.id, ...m.fallbacks]);
+    for (const chain of MODEL_FALLBACKS.split(',')) {
+        chains.push(chain.split('>').map((id) => id.trim()));
+    }
+    for (const [id, ...fallbacks] of chains) {
+        if (!id || fallbacks.length === 0) continue;
+        const target = resolveModelId(id);
+        modelCatalog.fallbacks.set(target, [
+            ...new Set(
+                fallbacks
+                    .filter(Boolean)
+                    .map(resolveModelId)
+                    .filter((f) => f !== target),
+            ),
+        ]);
+    }
+    return modelCatalog.models;
+}
+
+// Models to try after `model` fails, limited to those the API key may use
+function getFallbackChain(model, apiKey) {
+    const chain = modelCatalog.fallbacks.get(model) || [];
+    return apiKey ? chain.filter((id) => apiKeyAllowsModel(apiKey, id)) : chain;
+}
+
+function listModels() {
+    const ids = new Set(modelCatalog.models.map((m) => m.id));
+    return [
+        ...modelCatalog.models,
+        ...modelCatalog.discovered.filter((m) => !ids.has(m.id)),
+    ];
+}
+
+// Upstream model id for a requested name; unknown names pass through.
+// Aliases also match dated and -latest variants (claude-3-5-sonnet-20241022,
+// gpt-4o-2024-08-06, claude-3-5-sonnet-latest).
+function resolveModelId(name) {
+    if (!name || listModels().some((m) => m.id === name)) return name;
+    const lower = name.toLowerCase();
+    return (
+        modelCatalog.aliases.get(lower) ||
+        modelCatalog.aliases.get(
+            lower.replace(/-(latest|\d{8}|\d{4}-\d{2}-\d{2})$/, ''),
+        ) ||
+        name
+    );
+}
+
+// Catalog entry by id or alias
+function findModel(name) {
+    const id = resolveModelId(name);
+    return listModels().find((m) => m.id === id) || null;
+}
+
+function describeModel(model) {
+    return {
+        id: model.id,
+        object: 'model',
+        created: model.created,
+        owned_by: model.owned_by,
+        context_length: model.context_length,
+        max_output_tokens: model.max_output_tokens,
+        capabilities: { tools: model.tools, vision: model.vision },
+        aliases: model.aliases,
+        fallbacks: modelCatalog.fallbacks.get(model.id) || [],
+    };
+}
+
+// Refreshes the discovered list once the cache is older than the TTL. A
+// failed attempt keeps the previous list until the next TTL window.
+async function discoverUpstreamModels() {
+    if (!MODEL_DISCOVERY) return;
+    if (Date.now() - modelCatalog.discoveredAt < MODEL_DISCOVERY_TTL_MS) return;
+    if (modelCatalog.discovery) return modelCatalog.discovery;
+
+    modelCatalog.discovery = (async () => {
+        try {
+            const account = accounts.find((a) => !a.revoked) || accounts[0];
+            const token = account && (await ensureValidToken(account));
+            if (!token) throw new Error('No valid OAuth token');
+
+            const page = await createOpenAIClient(account, token).models.list();
+            const created = Math.floor(Date.now() / 1000);
+            modelCatalog.discovered = page.data.map((model) =>
+                normalizeModelEntry(
+                    { ...model, owned_by: model.owned_by || 'qwen' },
+                    created,
+                ),
+            );
+            log.info(
+                `  🔎 Discovered ${modelCatalog.discovered.length} upstream models`,
+            );
+        } catch (e) {
+            log.warn('⚠️ Model discovery failed', { error: e.message });
+        } finally {
+            modelCatalog.discoveredAt = Date.now();
+            modelCatalog.discovery = null;
+        }
+    })();
+    return modelCatalog.discovery;
+}
+
+loadModelCatalog();
+
+// ─── Anthropic Messages API ─────────────────────────────────────────────────
+// Translates Anthropic /v1/messages requests onto handleChatCompletion and
+// converts the OpenAI-shaped output back (content blocks, SSE event sequence).
+
+const ANTHROPIC_STOP_REASONS = {
+    stop: 'end_turn',
+    length: 'max_tokens',
+    tool_calls: 'tool_use',
+    function_call: 'tool_use',
+    content_filter: 'refusal',
+};
+
+const ANTHROPIC_ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    413: 'request_too_large',
+    429: 'rate_limit_error',
+    529: 'overloaded_error',
+};
+
+// Flatten Anthropic text blocks (or a plain string) into a string
+function anthropicBlocksToText(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content
+        .filter((block) => block.type === 'text')
+        .map((block) => block.text)
+        .join('\n');
+}
+
+function anthropicImageToOpenAI(block) {
+    const source = block.source || {};
+    const url =
+        source.type === 'url'
+            ? source.url
+            : `data:${source.media_type};base64,${source.data}`;
+    return { type: 'image_url', image_url: { url } };
+}
+
+function anthropicMessagesToOpenAI(messages) {
+    const result = [];
+    for (const msg of messages || []) {
+        if (typeof msg.content === 'string') {
+            result.push({ role: msg.role, content: msg.content });
+            continue;
+        }
+        const blocks = Array.isArray(msg.content) ? msg.content : [];
+
+        if (msg.role === 'assistant') {
+            const text = anthropicBlocksToText(blocks);
+            const toolCalls = blocks
+                .filter((block) => block.type === 'tool_use')
+                .map((block) => ({
+                    id: block.id,
+                    type: 'function',
+                    function: {
+                        name: block.name,
+                        arguments: JSON.stringify(block.input || {}),
+                    },
+                }));
+            const assistantMsg = { role: 'assistant', content: text || null };
+            if (toolCalls.length > 0) assistantMsg.tool_calls = toolCalls;
+            result.push(assistantMsg);
+            continue;
+        }
+
+        // User turn: tool_result blocks become tool messages, which must
+        // directly follow the assistant tool_calls they answer.
+        const parts = [];
+        for (const block of blocks) {
+            if (block.type === 'tool_result') {
+                const text = anthropicBlocksToText(block.content);
+                result.push({
+                    role: 'tool',
+                    tool_call_id: block.tool_use_id,
+                    content: block.is_error ? `Error: ${text}` : text,
+                });
+            } else if (block.type === 'text') {
+                const part = { type: 'text', text: block.text };
+                if (block.cache_control)
+                    part.cache_control = block.cache_control;
+                parts.push(part);
+            } else if (block.type === 'image') {
+                parts.push(anthropicImageToOpenAI(block));
+            }
+        }
+        if (parts.length > 0) result.push({ role: 'user', content: parts });
+    }
+    return result;
+}
+
+function anthropicToolChoiceToOpenAI(toolChoice) {
+    switch (toolChoice?.type) {
+        case 'auto':
+            return 'auto';
+        case 'any':
+            return 'required';
+        case 'none':
+            return 'none';
+        case 'tool':
+            return { type: 'function', function: { name: toolChoice.name } };
+        default:
+            return undefined;
+    }
+}
+
+// Build the OpenAI chat.completions body handleChatCompletion expects
+function anthropicToOpenAI(body) {
+    const messages = [];
+    if (body.system) {
+        const systemBlocks =
+            typeof body.system === 'string'
+                ? [{ type: 'text', text: body.system }]
+                : body.system;
+        messages.push({
+            role: 'system',
+            content: systemBlocks.map((block) => ({
+                type: 'text',
+                text: block.text,
+                ...(block.cache_control
+                    ? { cache_control: block.cache_control }
+                    : {}),
+            })),
+        });
+    }
+    messages.push(...anthropicMessagesToOpenAI(body.messages));
+
+    const reqBody = {
+        // Claude model names without a catalog alias cannot be served upstream
+        model:
+            body.model &&
+            (findModel(body.model) || !body.model.startsWith('claude-'))
+                ? body.model
+                : DEFAULT_MODEL,
+        messages,
+        stream: !!body.stream,
+    };
+    if (Array.isArray(body.tools) && body.tools.length > 0) {
+        reqBody.tools = body.tools.map((tool) => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.input_schema,
+            },
+        }));
+    }
+    const toolChoice = anthropicToolChoiceToOpenAI(body.tool_choice);
+    if (toolChoice) reqBody.tool_choice = toolChoice;
+    if (body.max_tokens) reqBody.max_tokens = body.max_tokens;
+    if (body.temperature !== undefined) reqBody.temperature = body.temperature;
+    if (body.top_p !== undefined) reqBody.top_p = body.top_p;
+    if (body.stop_sequences) reqBody.stop = body.stop_sequences;
+    if (body.thinking?.type === 'enabled') {
+        reqBody.enable_thinking = true;
+        if (body.thinking.budget_tokens) {
+            reqBody.thinking_budget = body.thinking.budget_tokens;
+        }
+    } else if (body.thinking?.type === 'disabled') {
+        reqBody.enable_thinking = false;
+    }
+    return reqBody;
+}
+
+function openAIUsageToAnthropic(usage) {
+    return {
+        input_tokens: usage?.prompt_tokens || 0,
+        output_tokens: usage?.completion_tokens || 0,
+        cache_read_input_tokens:
+            usage?.prompt_tokens_details?.cached_tokens || 0,
+    };
+}
+
+function parseToolArguments(args) {
+    try {
+        return args ? JSON.parse(args) : {};
+    } catch (e) {
+        return { raw: args };
+    }
+}
+
+function openAIToAnthropic(data, messageId) {
+    const choice = data.choices?.[0] || {};
+    const message = choice.message || {};
+    const content = [];
+    if (message.content) content.push({ type: 'text', text: message.content });
+    for (const call of message.tool_calls || []) {
+        content.push({
+            type: 'tool_use',
+            id: call.id,
+            name: call.function?.name,
+            input: parseToolArguments(call.function?.arguments),
+        });
+    }
+    return {
+        id: messageId,
+        type: 'message',
+        role: 'assistant',
+        model: data.model,
+        content,
+        stop_reason: ANTHROPIC_STOP_REASONS[choice.finish_reason] || 'end_turn',
+        stop_sequence: null,
+        usage: openAIUsageToAnthropic(data.usage),
+    };
+}
+
+function createAnthropicAdapter(res, { messageId, model }) {
+    let blockIndex = -1;
+    let openBlock = null; // 'text' | tool call index
+    const toolBlocks = new Map(); // OpenAI tool call index → block index
+    let stopReason = null;
+    let usage = null;
+
+    const send = (event, data) => {
+        res.write(
+            `event: ${event}\ndata: ${JSON.stringify({ type: event, ...data })}\n\n`,
+        );
+    };
+    const closeBlock = () => {
+        if (openBlock === null) return;
+        send('content_block_stop', { index: blockIndex });
+        openBlock = null;
+    };
+    const openNewBlock = (key, contentBlock) => {
+        closeBlock();
+        blockIndex++;
+        openBlock = key;
+        send('content_block_start', {
+            index: blockIndex,
+            content_block: contentBlock,
+        });
+    };
+
+    return {
+        beginStream() {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            send('message_start', {
+                message: {
+                    id: messageId,
+                    type: 'message',
+                    role: 'assistant',
+                    model,
+                    content: [],
+                    stop_reason: null,
+                    stop_sequence: null,
+                    usage: { input_tokens: 0, output_tokens: 0 },
+                },
+            });
+            send('ping', {});
+        },
+        writeComment(text) {
+            res.write(`: ${text}\n\n`);
+        },
+        writeChunk(chunk) {
+            if (chunk.usage) usage = chunk.usage;
+            const choice = chunk.choices?.[0];
+            if (!choice) return;
+            const delta = choice.delta || {};
+
+            if (delta.content) {
+                if (openBlock !== 'text') {
+                    openNewBlock('text', { type: 'text', text: '' });
+                }
+                send('content_block_delta', {
+                    index: blockIndex,
+                    delta: { type: 'text_delta', text: delta.content },
+                });
+            }
+            for (const call of delta.tool_calls || []) {
+                const key = call.index ?? 0;
+                if (!toolBlocks.has(key)) {
+                    openNewBlock(key, {
+                        type: 'tool_use',
+                        id: call.id || `toolu_${crypto.randomUUID()}`,
+                        name: call.function?.name,
+                        input: {},
+                    });
+                    toolBlocks.set(key, blockIndex);
+                }
+                if (call.function?.arguments) {
+                    send('content_block_delta', {
+                        index: toolBlocks.get(key),
+                        delta: {
+                            type: 'input_json_delta',
+                            partial_json: call.function.arguments,
+                        },
+                    });
+                }
+            }
+            if (choice.finish_reason) {
+                stopReason =
+                    ANTHROPIC_STOP_REASONS[choice.finish_reason] || 'end_turn';
+            }
+        },
+        endStream() {
+            closeBlock();
+            send('message_delta', {
+                delta: {
+                    stop_reason: stopReason || 'end_turn',
+                    stop_sequence: null,
+                },
+                usage: openAIUsageToAnthropic(usage),
+            });
+            send('message_stop', {});
+            res.end();
+        },
+        sendResponse(data) {
+            res.json(openAIToAnthropic(data, messageId));
+        },
+        sendError(status, error) {
+            res.status(status).json({
+                type: 'error',
+                error: {
+                    type: ANTHROPIC_ERROR_TYPES[status] || 'api_error',
+                    message: error.message,
+                },
+            });
+        },
+        abortStream(status, error) {
+            if (res.writableEnded) return;
+            send('error', {
+                error: {
+                    type: ANTHROPIC_ERROR_TYPES[status] || 'api_error',
+                    message: error.message,
+                },
+            });
+            res.end();
+        },
+    };
+}
+
+// ─── OpenAI Responses API ───────────────────────────────────────────────────
+// Maps /v1/responses input items onto chat completions. Stored responses keep
+// their chat history so `previous_response_id` can chain turns server-side.
+
+const storedResponses = new Map(); // response id → { response, messages, keyId }
+
+function storeResponse(response, messages, keyId) {
+    storedResponses.set(response.id, { response, messages, keyId });
+    while (storedResponses.size > RESPONSES_STORE_LIMIT) {
+        storedResponses.delete(storedResponses.keys().next().value);
+    }
+}
+
+// Responses are only visible to the managed key that created them
+function getStoredResponse(id, apiKey) {
+    const stored = storedResponses.get(id);
+    if (!stored || stored.keyId !== (apiKey?.id ?? null)) return null;
+    return stored;
+}
+
+function responsesContentToOpenAI(content) {
+    if (typeof content === 'string') return content;
+    if (!Array.isArray(content)) return '';
+    return content.map((part) => {
+        if (part.type === 'input_image') {
+            return {
+                type: 'image_url',
+                image_url: { url: part.image_url, detail: part.detail },
+            };
+        }
+        // input_text / output_text / refusal
+        return { type: 'text', text: part.text ?? part.refusal ?? '' };
+    });
+}
+
+function responsesInputToOpenAI(input) {
+    if (typeof input === 'string') return [{ role: 'user', content: input }];
+    const messages = [];
+    for (const item of input || []) {
+        if (item.type === 'function_call') {
+            // Consecutive calls belong to the same assistant turn
+            const call = {
+                id: item.call_id,
+                type: 'function',
+                function: { name: item.name, arguments: item.arguments },
+            };
+            const last = messages[messages.length - 1];
+            if (last?.role === 'assistant' && last.tool_calls) {
+                last.tool_calls.push(call);
+            } else {
+                messages.push({
+                    role: 'assistant',
+                    content: null,
+                    tool_calls: [call],
+                });
+            }
+        } else if (item.type === 'function_call_output') {
+            messages.push({
+                role: 'tool',
+                tool_call_id: item.call_id,
+                content:
+                    typeof item.output === 'string'
+                        ? item.output
+                        : JSON.stringify(item.output),
+            });
+        } else if (item.type === 'message' || item.role) {
+            let content = responsesContentToOpenAI(item.content);
+            // Assistant history must be plain text for the chat API
+            if (item.role === 'assistant' && Array.isArray(content)) {
+                content = content.map((part) => part.text || '').join('');
+            }
+            messages.push({
+                role: item.role === 'developer' ? 'system' : item.role,
+                content,
+            });
+        }
+    }
+    return messages;
+}
+
+function responsesToolChoiceToOpenAI(toolChoice) {
+    if (typeof toolChoice === 'string') return toolChoice;
+    if (toolChoice?.type === 'function') {
+        return { type: 'function', function: { name: toolChoice.name } };
+    }
+    return undefined;
+}
+
+// Build the chat.completions body plus the history to store with the result
+function responsesToOpenAI(body, previous) {
+    const history = [
+        ...(previous?.messages || []),
+        ...responsesInputToOpenAI(body.input),
+    ];
+    // Instructions apply to this turn only and are not carried forward
+    const messages = body.instructions
+        ? [{ role: 'system', content: body.instructions }, ...history]
+        : history;
+
+    const reqBody = {
+        model: body.model || previous?.response.model || DEFAULT_MODEL,
+        messages,
+        stream: !!body.stream,
+    };
+    const tools = (body.tools || []).filter((t) => t.type === 'function');
+    if (tools.length > 0) {
+        reqBody.tools = tools.map((tool) => ({
+            type: 'function',
+            function: {
+                name: tool.name,
+                description: tool.description,
+                parameters: tool.parameters,
+            },
+        }));
+    }
+    const toolChoice = responsesToolChoiceToOpenAI(body.tool_choice);
+    if (toolChoice) reqBody.tool_choice = toolChoice;
+    if (body.max_output_tokens) reqBody.max_tokens = body.max_output_tokens;
+    if (body.temperature !== undefined) reqBody.temperature = body.temperature;
+    if (body.top_p !== undefined) reqBody.top_p = body.top_p;
+    return { reqBody, history };
+}
+
+function openAIUsageToResponses(usage) {
+    return {
+        input_tokens: usage?.prompt_tokens || 0,
+        input_tokens_details: {
+            cached_tokens: usage?.prompt_tokens_details?.cached_tokens || 0,
+        },
+        output_tokens: usage?.completion_tokens || 0,
+        output_tokens_details: {
+            reasoning_tokens:
+                usage?.completion_tokens_details?.reasoning_tokens || 0,
+        },
+        total_tokens: usage?.total_tokens || 0,
+    };
+}
+
+function createResponsesAdapter(
+    res,
+    { body, reqBody, history, responseId, keyId },
+) {
+    const createdAt = Math.floor(Date.now() / 1000);
+    let sequenceNumber = 0;
+    let text = '';
+    let messageItem = null;
+    const callItems = new Map(); // OpenAI tool call index → function_call item
+    const output = []; // Items in output order
+    let finishReason = null;
+    let usage = null;
+    let model = reqBody.model;
+
+    const buildResponse = (status) => ({
+        id: responseId,
+        object: 'response',
+        created_at: createdAt,
+        status,
+        error: null,
+        incomplete_details:
+            finishReason === 'length' ? { reason: 'max_output_tokens' } : null,
+        instructions: body.instructions || null,
+        max_output_tokens: body.max_output_tokens || null,
+        model,
+        output: status === 'in_progress' ? [] : output,
+        parallel_tool_calls: body.parallel_tool_calls ?? true,
+        previous_response_id: body.previous_response_id || null,
+        store: body.store !== false,
+        temperature: body.temperature ?? null,
+        tool_choice: body.tool_choice || 'auto',
+        tools: body.tools || [],
+        top_p: body.top_p ?? null,
+        usage: status === 'in_progress' ? null : openAIUsageToResponses(usage),
+        metadata: body.metadata || {},
+    });
+
+    // Persist the finished turn so the next request can chain onto it
+    const finish = () => {
+        const status = finishReason === 'length' ? 'incomplete' : 'completed';
+        const response = buildResponse(status);
+        if (body.store !== false) {
+            const assistantMsg = { role: 'assistant', content: text || null };
+            if (callItems.size > 0) {
+                assistantMsg.tool_calls = [...callItems.values()].map(
+                    (item) => ({
+                        id: item.call_id,
+                        type: 'function',
+                        function: {
+                            name: item.name,
+                            arguments: item.arguments,
+                        },
+                    }),
+                );
+            }
+            storeResponse(response, [...history, assistantMsg], keyId);
+        }
+        return response;
+    };
+
+    const send = (event, data) => {
+        res.write(
+            `event: ${event}\ndata: ${JSON.stringify({ type: event, sequence_number: sequenceNumber++, ...data })}\n\n`,
+        );
+    };
+
+    const addMessageItem = () => {
+        messageItem = {
+            type: 'message',
+            id: `msg_${crypto.randomUUID().replace(/-/g, '')}`,
+            status: 'in_progress',
+            role: 'assistant',
+            content: [],
+        };
+        output.push(messageItem);
+        return messageItem;
+    };
+
+    const addCallItem = (key, call) => {
+        const item = {
+            type: 'function_call',
+            id: `fc_${crypto.randomUUID().replace(/-/g, '')}`,
+            call_id: call.id || `call_${crypto.randomUUID()}`,
+            name: call.function?.name,
+            arguments: '',
+            status: 'in_progress',
+        };
+        callItems.set(key, item);
+        output.push(item);
+        return item;
+    };
+
+    return {
+        beginStream() {
+            res.setHeader('Content-Type', 'text/event-stream');
+            res.setHeader('Cache-Control', 'no-cache');
+            res.setHeader('Connection', 'keep-alive');
+            send('response.created', {
+                response: buildResponse('in_progress'),
+            });
+            send('response.in_progress', {
+                response: buildResponse('in_progress'),
+            });
+        },
+        writeComment(text) {
+            res.write(`: ${text}\n\n`);
+        },
+        writeChunk(chunk) {
+            if (chunk.model) model = chunk.model;
+            if (chunk.usage) usage = chunk.usage;
+            const choice = chunk.choices?.[0];
+            if (!choice) return;
+            const delta = choice.delta || {};
+
+            if (delta.content) {
+                if (!messageItem) {
+                    const item = addMessageItem();
+                    send('response.output_item.added', {
+                        output_index: output.length - 1,
+                        item,
+                    });
+                    send('response.content_part.added', {
+                        item_id: item.id,
+                        output_index: output.length - 1,
+                        content_index: 0,
+                        part: {
+                            type: 'output_text',
+                            text: '',
+                            annotations: [],
+                        },
+                    });
+                }
+                text += delta.content;
+                send('response.output_text.delta', {
+                    item_id: messageItem.id,
+                    output_index: output.indexOf(messageItem),
+                    content_index: 0,
+                    delta: delta.content,
+                });
+            }
+            for (const call of delta.tool_calls || []) {
+                const key = call.index ?? 0;
+                let item = callItems.get(key);
+                if (!item) {
+                    item = addCallItem(key, call);
+                    send('response.output_item.added', {
+                        output_index: output.length - 1,
+                        item: { ...item },
+                    });
+                }
+                if (call.function?.arguments) {
+                    item.arguments += call.function.arguments;
+                    send('response.function_call_arguments.delta', {
+                        item_id: item.id,
+                        output_index: output.indexOf(item),
+                        delta: call.function.arguments,
+                    });
+                }
+            }
+            if (choice.finish_reason) finishReason = choice.finish_reason;
+        },
+        endStream() {
+            for (const [outputIndex, item] of output.entries()) {
+                item.status = 'completed';
+                if (item.type === 'message') {
+                    const part = {
+                        type: 'output_text',
+                        text,
+                        annotations: [],
+                    };
+                    item.content = [part];
+                    send('response.output_text.done', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        content_index: 0,
+                        text,
+                    });
+                    send('response.content_part.done', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        content_index: 0,
+                        part,
+                    });
+                } else {
+                    send('response.function_call_arguments.done', {
+                        item_id: item.id,
+                        output_index: outputIndex,
+                        arguments: item.arguments,
+                    });
+                }
+                send('response.output_item.done', {
+                    output_index: outputIndex,
+                    item,
+                });
+            }
+            const response = finish();
+            send(
+                response.status === 'incomplete'
+                    ? 'response.incomplete'
+                    : 'response.completed',
+                { response },
+            );
+            res.end();
+        },
+        sendResponse(data) {
+            const choice = data.choices?.[0] || {};
+            const message = choice.message || {};
+            model = data.model;
+            usage = data.usage;
+            finishReason = choice.finish_reason;
+            if (message.content) {
+                text = message.content;
+                const item = addMessageItem();
+                item.status = 'completed';
+                item.content = [{ type: 'output_text', text, annotations: [] }];
+            }
+            for (const [index, call] of (message.tool_calls || []).entries()) {
+                const item = addCallItem(index, call);
+                item.arguments = call.function?.arguments || '';
+                item.status = 'completed';
+            }
+            res.json(finish());
+        },
+        sendError(status, error) {
+            res.status(status).json({ error });
+        },
+        abortStream(status, error) {
+            if (res.writableEnded) return;
+            send('response.failed', {
+                response: {
+                    ...buildResponse('failed'),
+                    error: {
+                        code: error.code || error.type,
+                        message: error.message,
+                    },
+                },
+            });
+            res.end();
+        },
+    };
+}
+
+// ─── Fill-in-the-Middle ─────────────────────────────────────────────────────
+// The chat API has no FIM mode, so prefix/suffix completions are phrased as an
+// instruction with a placeholder marking the gap.
+
+const FIM_PLACEHOLDER = '<FILL_HERE>';
+
+function buildFimMessages(prefix, suffix) {
+    return [
+        {
+            role: 'system',
+            content: `You are a code completion engine. Reply with only the text that replaces ${FIM_PLACEHOLDER}, without explanations or markdown fences.`,
+        },
+        { role: 'user', content: `${prefix}${FIM_PLACEHOLDER}${suffix}` },
+    ];
+}
+
+// ─── Ollama API ─────────────────────────────────────────────────────────────
+// Serves the Ollama wire format (/api/chat, /api/generate, NDJSON streaming)
+// so editor plugins see the Qwen models as a local Ollama install.
+
+const OLLAMA_VERSION = '0.6.0';
+
+// Ollama clients address models as `name:tag`
+function ollamaModelToQwen(name) {
+    if (!name) return DEFAULT_MODEL;
+    return name.endsWith(':latest') ? name.slice(0, -':latest'.length) : name;
+}
+
+function ollamaOptionsToOpenAI(body) {
+    const params = {};
+    const options = body.options || {};
+    if (options.temperature !== undefined)
+        params.temperature = options.temperature;
+    if (options.top_p !== undefined) params.top_p = options.top_p;
+    if (options.num_predict > 0) params.max_tokens = options.num_predict;
+    if (options.stop) params.stop = options.stop;
+    if (options.presence_penalty !== undefined)
+        params.presence_penalty = options.presence_penalty;
+    if (options.frequency_penalty !== undefined)
+        params.frequency_penalty = options.frequency_penalty;
+    if (body.format === 'json') {
+        params.response_format = { type: 'json_object' };
+    } else if (body.format && typeof body.format === 'object') {
+        params.response_format = {
+            type: 'json_schema',
+            json_schema: { name: 'response', schema: body.format },
+        };
+    }
+    return params;
+}
+
+function ollamaImagesToParts(text, images) {
+    if (!Array.isArray(images) || images.length === 0) return text;
+    return [
+        { type: 'text', text: text || '' },
+        ...images.map((data) => ({
+            type: 'image_url',
+            image_url: { url: `data:image/png;base64,${data}` },
+        })),
+    ];
+}
+
+// Ollama tool calls carry no ids; tool results answer them in order
+function ollamaMessagesToOpenAI(messages) {
+    const result = [];
+    const pendingCallIds = [];
+    for (const msg of messages || []) {
+        if (msg.role === 'assistant' && Array.isArray(msg.tool_calls)) {
+            const toolCalls = msg.tool_calls.map((call) => {
+                const id = `call_${crypto.randomUUID()}`;
+                pendingCallIds.push(id);
+                return {
+                    id,
+                    type: 'function',
+                    function: {
+                        name: call.function?.name,
+                        arguments:
+                            typeof call.function?.arguments === 'string'
+                                ? call.function.arguments
+                                : JSON.stringify(
+                                      call.function?.arguments || {},
+                                  ),
+                    },
+                };
+            });
+            result.push({
+                role: 'assistant',
+                content: msg.content || null,
+                tool_calls: toolCalls,
+            });
+        } else if (msg.role === 'tool') {
+            result.push({
+                role: 'tool',
+                tool_call_id:
+                    pendingCallIds.shift() || `call_${crypto.randomUUID()}`,
+                content: msg.content,
+            });
+        } else {
+            result.push({
+                role: msg.role,
+                content: ollamaImagesToParts(msg.content, msg.images),
+            });
+        }
+    }
+    return result;
+}
+
+function ollamaChatToOpenAI(body) {
+    const reqBody = {
+        model: ollamaModelToQwen(body.model),
+        messages: ollamaMessagesToOpenAI(body.messages),
+        // Ollama streams unless told otherwise
+        stream: body.stream !== false,
+        ...ollamaOptionsToOpenAI(body),
+    };
+    if (Array.isArray(body.tools) && body.tools.length > 0) {
+        reqBody.tools = body.tools;
+    }
+    return reqBody;
+}
+
+function ollamaGenerateToOpenAI(body) {
+    const messages = [];
+    if (body.system) messages.push({ role: 'system', content: body.system });
+    if (body.suffix) {
+        messages.push(...buildFimMessages(body.prompt || '', body.suffix));
+    } else {
+        messages.push({
+            role: 'user',
+            content: ollamaImagesToParts(body.prompt || '', body.images),
+        });
+    }
+    return {
+        model: ollamaModelToQwen(body.model),
+        messages,
+        stream: body.stream !== false,
+        ...ollamaOptionsToOpenAI(body),
+    };
+}
+
+function openAIToolCallsToOllama(toolCalls) {
+    return toolCalls.map((call) => ({
+        function: {
+            name: call.function?.name,
+            arguments: parseToolArguments(call.function?.arguments),
+        },
+    }));
+}
+
+// kind: 'chat' → `message` objects, 'generate' → `response` strings
+function createOllamaAdapter(res, { kind, model }) {
+    const startTime = process.hrtime.bigint();
+    const toolCalls = new Map(); // OpenAI tool call index → accumulated call
+    let finishReason = null;
+    let usage = null;
+
+    const base = () => ({
+        model,
+        created_at: new Date().toISOString(),
+    });
+    const payload = (content, calls) =>
+        kind === 'chat'
+            ? {
+                  message: {
+                      role: 'assistant',
+                      content,
+                      ...(calls?.length
+                          ? { tool_calls: openAIToolCallsToOllama(calls) }
+                          : {}),
+                  },
+              }
+            : { response: content };
+    const doneFields = () => {
+        const totalDuration = Number(process.hrtime.bigint() - startTime);
+        return {
+            done: true,
+            done_reason: finishReason === 'length' ? 'length' : 'stop',
+            ...(kind === 'generate' ? { context: [] } : {}),
+            total_duration: totalDuration,
+            load_duration: 0,
+            prompt_eval_count: usage?.prompt_tokens || 0,
+            prompt_eval_duration: 0,
+            eval_count: usage?.completion_tokens || 0,
+            eval_duration: totalDuration,
+        };
+    };
+    const writeLine = (data) => res.write(`${JSON.stringify(data)}\n`);
+
+    return {
+        beginStream() {
+            res.setHeader('Content-Type', 'application/x-ndjson');
+            res.setHeader('Cache-Control', 'no-cache');
+        },
+        writeChunk(chunk) {
+            if (chunk.usage) usage = chunk.usage;
+            const choice = chunk.choices?.[0];
+            if (!choice) return;
+            const delta = choice.delta || {};
+            if (delta.content) {
+                writeLine({
+                    ...base(),
+                    ...payload(delta.content),
+                    done: false,
+                });
+            }
+            for (const call of delta.tool_calls || []) {
+                const key = call.index ?? 0;
+                const acc = toolCalls.get(key) || {
+                    function: { name: '', arguments: '' },
+                };
+                if (call.function?.name) acc.function.name = call.function.name;
+                if (call.function?.arguments) {
+                    acc.function.arguments += call.function.arguments;
+                }
+                toolCalls.set(key, acc);
+            }
+            if (choice.finish_reason) finishReason = choice.finish_reason;
+        },
+        endStream() {
+            // Ollama delivers tool calls whole, not as argument fragments
+            if (kind === 'chat' && toolCalls.size > 0) {
+                writeLine({
+                    ...base(),
+                    ...payload('', [...toolCalls.values()]),
+                    done: false,
+                });
+            }
+            writeLine({ ...base(), ...payload(''), ...doneFields() });
+            res.end();
+        },
+        sendResponse(data) {
+            const choice = data.choices?.[0] || {};
+            const message = choice.message || {};
+            finishReason = choice.finish_reason;
+            usage = data.usage;
+            res.json({
+                ...base(),
+                ...payload(message.content || '', message.tool_calls),
+                ...doneFields(),
+            });
+        },
+        sendError(status, error) {
+            res.status(status).json({ error: error.message });
+        },
+        abortStream(status, error) {
+            if (res.writableEnded) return;
+            writeLine({ error: error.message });
+            res.end();
+        },
+    };
+}
+
+function describeOllamaModel(model) {
+    return {
+        name: `${model.id}:latest`,
+        model: `${model.id}:latest`,
+        modified_at: new Date(model.created * 1000).toISOString(),
+        size: 0,
+        digest: crypto.createHash('sha256').update(model.id).digest('hex'),
+        details: {
+            parent_model: '',
+            format: 'api',
+            family: 'qwen',
+            families: ['qwen'],
+            parameter_size: '',
+            quantization_level: '',
+        },
+    };
+}
+
+// ─── Legacy Completions API ─────────────────────────────────────────────────
+// /v1/completions wraps each prompt into chat messages. Prompt arrays and `n`
+// fan out into one upstream call per choice, multiplexed into one response.
+
+const MAX_COMPLETION_CHOICES = 16; // prompts × n
+const COMPLETION_SYSTEM_PROMPT =
+    'Continue the text provided by the user. Reply with only the continuation, without repeating the text or adding commentary.';
+
+function completionPromptToMessages(prompt, suffix) {
+    if (suffix) return buildFimMessages(prompt, suffix);
+    return [
+        { role: 'system', content: COMPLETION_SYSTEM_PROMPT },
+        { role: 'user', content: prompt },
+    ];
+}
+
+// Normalize `prompt` into a list of strings; token-id prompts are unsupported
+function normalizeCompletionPrompt(prompt) {
+    if (prompt === undefined || prompt === null) return [''];
+    if (typeof prompt === 'string') return [prompt];
+    if (
+        Array.isArray(prompt) &&
+        prompt.length > 0 &&
+        prompt.every((p) => typeof p === 'string')
+    ) {
+        return prompt;
+    }
+    return null;
+}
+
+function addUsage(total, usage) {
+    if (!usage) return total;
+    return {
+        prompt_tokens: total.prompt_tokens + (usage.prompt_tokens || 0),
+        completion_tokens:
+            total.completion_tokens + (usage.completion_tokens || 0),
+        total_tokens: total.total_tokens + (usage.total_tokens || 0),
+    };
+}
+
+// One response shared by `total` upstream calls; adapterFor(index) gives each
+// call an adapter that writes its output as choice `index`. `onAbandon` runs
+// when an error answers for the whole request and the other calls are moot.
+function createCompletionsMultiplexer(
+    res,
+    { completionId, model, total, stream, includeUsage, onAbandon },
+) {
+    const created = Math.floor(Date.now() / 1000);
+    const choices = [];
+    let usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+    let finished = 0;
+    let streamStarted = false;
+
+    const writeChunk = (data) => {
+        if (res.writableEnded) return;
+        res.write(
+            `data: ${JSON.stringify({ id: completionId, object: 'text_completion', created, model, ...data })}\n\n`,
+        );
+    };
+    const finishOne = () => {
+        finished++;
+        if (finished < total || res.writableEnded) return;
+        if (stream) {
+            if (includeUsage) writeChunk({ choices: [], usage });
+            res.write('data: [DONE]\n\n');
+            res.end();
+        } else {
+            res.json({
+                id: completionId,
+                object: 'text_completion',
+                created,
+                model,
+                choices,
+                usage,
+            });
+        }
+    };
+
+    const adapterFor = (index, echoPrompt) => {
+        let text = echoPrompt || '';
+        return {
+            beginStream() {
+                if (res.writableEnded) return;
+                if (!streamStarted) {
+                    streamStarted = true;
+                    res.setHeader('Content-Type', 'text/event-stream');
+                    res.setHeader('Cache-Control', 'no-cache');
+                    res.setHeader('Connection', 'keep-alive');
+                }
+                if (echoPrompt) {
+                    writeChunk({
+                        choices: [
+                            {
+                                text: echoPrompt,
+                                index,
+                                logprobs: null,
+                                finish_reason: null,
+                            },
+                        ],
+                    });
+                }
+            },
+            writeComment(text) {
+                if (!res.writableEnded) res.write(`: ${text}\n\n`);
+            },
+            writeChunk(chunk) {
+                if (chunk.usage) usage = addUsage(usage, chunk.usage);
+                const choice = chunk.choices?.[0];
+                if (!choice) return;
+                const content = choice.delta?.content || '';
+                if (!content && !choice.finish_reason) return;
+                writeChunk({
+                    choices: [
+                        {
+                            text: content,
+                            index,
+                            logprobs: null,
+                            finish_reason: choice.finish_reason || null,
+                        },
+                    ],
+                });
+            },
+            endStream() {
+                finishOne();
+            },
+            sendResponse(data) {
+                const choice = data.choices?.[0] || {};
+                text += choice.message?.content || '';
+                choices[index] = {
+                    text,
+                    index,
+                    logprobs: null,
+                    finish_reason: choice.finish_reason || 'stop',
+                };
+                usage = addUsage(usage, data.usage);
+                finishOne();
+            },
+            sendError(status, error) {
+                // First failure answers for the whole request
+                if (res.headersSent) return finishOne();
+                res.status(status).json({ error });
+                onAbandon?.(`choice ${index} failed`);
+            },
+            abortStream() {
+                finishOne();
+            },
+        };
+    };
 
-    return { messages: msgsCopy, tools: toolsCopy };
+    return { adapterFor };
 }
 
-// ─── Request Handler ────────────────────────────────────────────────────────
-// Unified handler for ALL requests (replaces hybrid CLI/API routing).
-// Uses OpenAI SDK with DashScope headers — same as Qwen CLI internally.
+// ─── Endpoints ──────────────────────────────────────────────────────────────
+
+// Router key check for every OpenAI/Anthropic route and Ollama generation
+app.use('/v1', authenticate);
+app.use(['/api/chat', '/api/generate'], authenticate);
+app.use('/admin', requireAdmin);
+
+app.get('/health', async (req, res) => {
+    const accountStatus = accounts.map(describeAccount);
+    const primary = accounts[0];
+    res.json({
+        status: 'online',
+        server_time: new Date().toISOString(),
+        credentials_path: CREDENTIALS_PATH,
+        token_available: accountStatus.some((a) => a.status === 'active'),
+        token_expires: primary?.credentials?.expiry_date
+            ? new Date(primary.credentials.expiry_date).toISOString()
+            : null,
+        api_base: getApiBaseUrl(primary),
+        user_agent: buildUserAgent(),
+        session_id: SESSION_ID,
+        account_strategy: ACCOUNT_STRATEGY,
+        accounts: accountStatus,
+        scheduler: describeScheduler(),
+        token_budget: describeTokenBudget(),
+    });
+});
+
+// Prometheus scrape target (unauthenticated, like /health)
+app.get('/metrics', (req, res) => {
+    res.setHeader('Content-Type', 'text/plain; version=0.0.4; charset=utf-8');
+    res.send(renderMetrics());
+});
+
+app.get('/v1/models', async (req, res) => {
+    await discoverUpstreamModels();
+    res.json({ object: 'list', data: listModels().map(describeModel) });
+});
 
-async function handleChatCompletion(reqBody, requestId, res) {
-    // Ensure valid token
-    const token = await ensureValidToken();
-    if (!token) {
-        return res.status(500).json({
+app.get('/v1/models/:id', async (req, res) => {
+    await discoverUpstreamModels();
+    const model = findModel(req.params.id);
+    if (!model) {
+        return res.status(404).json({
             error: {
-                message: 'No valid OAuth token. Run: qwen login',
-                type: 'auth_error',
+                message: `The model '${req.params.id}' does not exist`,
+                type: 'invalid_request_error',
+                param: null,
+                code: 'model_not_found',
             },
         });
     }
+    res.json(describeModel(model));
+});
 
-    const client = createOpenAIClient(token);
-    const stream = !!reqBody.stream;
-    const promptId = crypto.randomUUID();
+// Unified handler — all requests use direct API via OpenAI SDK
+app.post('/v1/chat/completions', async (req, res) => {
+    const { messages, stream, model, tools, functions, tool_choice } = req.body;
+    const requestId = `chatcmpl-${crypto.randomUUID()}`;
 
-    // Map model — 'coder-model' is the CLI default, API resolves it server-side
-    const model = reqBody.model || DEFAULT_MODEL;
+    startRequestLog(requestId);
+    log.info(
+        `  → Model: ${model || DEFAULT_MODEL}, Stream: ${!!stream}, Messages: ${(messages || []).length}`,
+    );
 
-    // Build request body matching CLI's pipeline (cli.js#L141951-L141967)
-    const { messages: cachedMsgs, tools: cachedTools } = addCacheControl(
-        reqBody.messages || [],
-        reqBody.tools || null,
-        stream,
+    if (Array.isArray(tools) && tools.length > 0) {
+        const toolNames = tools.map((t) => t.function?.name).filter(Boolean);
+        log.info(`  → Tools (${tools.length}): ${toolNames.join(', ')}`);
+    }
+    if (tool_choice)
+        log.info(`  → Tool Choice: ${JSON.stringify(tool_choice)}`);
+
+    return handleChatCompletion(req.body, requestId, res, {
+        ...getRequestContext(req),
+    });
+});
+
+// Legacy text completions — prompts wrapped into chat messages
+app.post('/v1/completions', async (req, res) => {
+    const body = req.body || {};
+    const prompts = normalizeCompletionPrompt(body.prompt);
+    if (!prompts) {
+        return res.status(400).json({
+            error: {
+                message: 'prompt must be a string or an array of strings',
+                type: 'invalid_request_error',
+                param: 'prompt',
+            },
+        });
+    }
+    const n = Math.max(1, parseInt(body.n, 10) || 1);
+    const total = prompts.length * n;
+    if (total > MAX_COMPLETION_CHOICES) {
+        return res.status(400).json({
+            error: {
+                message: `Too many choices requested (${total}); the limit is ${MAX_COMPLETION_CHOICES}`,
+                type: 'invalid_request_error',
+                param: 'n',
+            },
+        });
+    }
+
+    const completionId = `cmpl-${crypto.randomUUID()}`;
+    const model = body.model || DEFAULT_MODEL;
+    const stream = !!body.stream;
+
+    startRequestLog(completionId);
+    log.info(
+        `  → Completions → Model: ${model}, Stream: ${stream}, Prompts: ${prompts.length}, n: ${n}, FIM: ${!!body.suffix}`,
     );
 
-    const requestParams = {
-        model: model,
-        messages: cachedMsgs,
-        // Metadata (cli.js#L141557-L141602)
-        metadata: {
-            sessionId: SESSION_ID,
-            promptId: promptId,
-            channel: 'SDK',
-        },
+    // One controller per choice, cancelled together — a single close listener
+    // instead of one per call on the shared response
+    const controllers = Array.from(
+        { length: total },
+        () => new AbortController(),
+    );
+    const abortAll = (reason) => {
+        for (const controller of controllers) controller.abort(reason);
     };
+    res.on('close', () => {
+        if (!res.writableEnded) abortAll('client disconnected');
+    });
 
-    // Forward all OpenAI-compatible params
-    if (cachedTools) requestParams.tools = cachedTools;
-    if (reqBody.functions) requestParams.functions = reqBody.functions;
-    if (reqBody.tool_choice) requestParams.tool_choice = reqBody.tool_choice;
-    if (reqBody.function_call)
-        requestParams.function_call = reqBody.function_call;
-    if (reqBody.max_tokens) requestParams.max_tokens = reqBody.max_tokens;
-    if (reqBody.temperature !== undefined)
-        requestParams.temperature = reqBody.temperature;
-    if (reqBody.top_p !== undefined) requestParams.top_p = reqBody.top_p;
-    if (reqBody.stop) requestParams.stop = reqBody.stop;
-    if (reqBody.presence_penalty !== undefined)
-        requestParams.presence_penalty = reqBody.presence_penalty;
-    if (reqBody.frequency_penalty !== undefined)
-        requestParams.frequency_penalty = reqBody.frequency_penalty;
-
-    console.log(`  → API: ${client.baseURL} (model: ${model})`);
+    const mux = createCompletionsMultiplexer(res, {
+        completionId,
+        model,
+        total,
+        stream,
+        includeUsage: !!body.stream_options?.include_usage,
+        onAbandon: abortAll,
+    });
+    const context = getRequestContext(req);
+    const calls = [];
+    prompts.forEach((prompt, promptIndex) => {
+        for (let i = 0; i < n; i++) {
+            const index = promptIndex * n + i;
+            const reqBody = {
+                model,
+                messages: completionPromptToMessages(prompt, body.suffix),
+                stream,
+                max_tokens: body.max_tokens,
+                temperature: body.temperature,
+                top_p: body.top_p,
+                stop: body.stop,
+                presence_penalty: body.presence_penalty,
+                frequency_penalty: body.frequency_penalty,
+            };
+            calls.push(
+                handleChatCompletion(reqBody, `${completionId}-${index}`, res, {
+                    ...context,
+                    adapter: mux.adapterFor(index, body.echo ? prompt : ''),
+                    controller: controllers[index],
+                }),
+            );
+        }
+    });
+    await Promise.all(calls);
+});
 
-    // Wrap in credential management (cli.js#L144810-L144830)
-    const executeWithRetry = async (attempt = 0) => {
-        try {
-            if (stream) {
-                // Stream options (cli.js#L141951)
-                requestParams.stream = true;
-                requestParams.stream_options = { include_usage: true };
+// Anthropic Messages API — same OAuth, retry and cache_control pipeline
+app.post('/v1/messages', async (req, res) => {
+    if (!Array.isArray(req.body?.messages)) {
+        return res.status(400).json({
+            type: 'error',
+            error: {
+                type: 'invalid_request_error',
+                message: 'messages: Field required',
+            },
+        });
+    }
 
-                const streamResponse =
-                    await client.chat.completions.create(requestParams);
+    const reqBody = anthropicToOpenAI(req.body);
+    const requestId = `msg_${crypto.randomUUID().replace(/-/g, '')}`;
 
-                // Set SSE headers
-                res.setHeader('Content-Type', 'text/event-stream');
-                res.setHeader('Cache-Control', 'no-cache');
-                res.setHeader('Connection', 'keep-alive');
+    startRequestLog(requestId);
+    log.info(
+        `  → Anthropic → Model: ${reqBody.model}, Stream: ${reqBody.stream}, Messages: ${reqBody.messages.length}`,
+    );
+    if (reqBody.tools) {
+        log.info(
+            `  → Tools (${reqBody.tools.length}): ${reqBody.tools.map((t) => t.function.name).join(', ')}`,
+        );
+    }
 
-                // Pipe SSE chunks to response
-                for await (const chunk of streamResponse) {
-                    const sseData = {
-                        id: chunk.id || requestId,
-                        object: 'chat.completion.chunk',
-                        created: chunk.created || Math.floor(Date.now() / 1000),
-                        model: chunk.model || model,
-                        choices: chunk.choices || [],
-                        ...(chunk.usage ? { usage: chunk.usage } : {}),
-                    };
-                    res.write(`data: ${JSON.stringify(sseData)}\n\n`);
-                }
+    return handleChatCompletion(reqBody, requestId, res, {
+        ...getRequestContext(req),
+        adapter: createAnthropicAdapter(res, {
+            messageId: requestId,
+            model: reqBody.model,
+        }),
+    });
+});
 
-                res.write('data: [DONE]\n\n');
-                res.end();
-            } else {
-                const response =
-                    await client.chat.completions.create(requestParams);
+// OpenAI Responses API — chained turns via previous_response_id
+app.post('/v1/responses', async (req, res) => {
+    const body = req.body || {};
+    let previous = null;
+    if (body.previous_response_id) {
+        previous = getStoredResponse(body.previous_response_id, req.apiKey);
+        if (!previous) {
+            return res.status(404).json({
+                error: {
+                    message: `Previous response with id '${body.previous_response_id}' not found.`,
+                    type: 'invalid_request_error',
+                    param: 'previous_response_id',
+                },
+            });
+        }
+    }
 
-                // Pass through the response — it's already OpenAI-compatible
-                const data = {
-                    id: response.id || requestId,
-                    object: 'chat.completion',
-                    created: response.created || Math.floor(Date.now() / 1000),
-                    model: response.model || model,
-                    choices: response.choices || [],
-                    usage: response.usage || {
-                        prompt_tokens: 0,
-                        completion_tokens: 0,
-                        total_tokens: 0,
-                    },
-                    system_fingerprint: response.system_fingerprint || null,
-                };
-                res.json(data);
-            }
-        } catch (error) {
-            // Auth error → refresh and retry once (cli.js#L144810-L144830)
-            if (attempt === 0 && isAuthError(error)) {
-                console.log('  → Auth error, refreshing token...');
-                const newToken = await refreshToken();
-                if (newToken) {
-                    // Update client credentials
-                    client.apiKey = newToken;
-                    client.baseURL = getApiBaseUrl();
-                    console.log('  → Retrying with refreshed token...');
-                    return executeWithRetry(attempt + 1);
-                }
-            }
+    const { reqBody, history } = responsesToOpenAI(body, previous);
+    const responseId = `resp_${crypto.randomUUID().replace(/-/g, '')}`;
 
-            // Handle other errors
-            const status = error.status || error.response?.status || 500;
-            const errMsg = error.message || 'Unknown error';
+    startRequestLog(responseId);
+    log.info(
+        `  → Responses → Model: ${reqBody.model}, Stream: ${reqBody.stream}, Messages: ${reqBody.messages.length}${previous ? `, Previous: ${body.previous_response_id}` : ''}`,
+    );
 
-            console.error(`  → API Error (${status}): ${errMsg}`);
+    return handleChatCompletion(reqBody, responseId, res, {
+        ...getRequestContext(req),
+        adapter: createResponsesAdapter(res, {
+            body,
+            reqBody,
+            history,
+            responseId,
+            keyId: req.apiKey?.id ?? null,
+        }),
+    });
+});
 
-            // 429 → per-request retry with exponential backoff
-            if (status === 429 && attempt < MAX_RETRIES) {
-                const retryAfter = error.headers?.['retry-after'];
-                const baseWait = retryAfter
-                    ? parseInt(retryAfter, 10) * 1000
-                    : RATE_LIMIT_RETRY_MS;
-                // Exponential backoff: 10s → 20s → 40s (or Retry-After based)
-                const waitMs = baseWait * Math.pow(2, attempt);
-                console.log(
-                    `  ⏳ Rate limited (attempt ${attempt + 1}/${MAX_RETRIES}). Retrying in ${(waitMs / 1000).toFixed(0)}s...`,
-                );
-                await sleep(waitMs);
-                return executeWithRetry(attempt + 1);
-            }
+app.get('/v1/responses/:id', (req, res) => {
+    const stored = getStoredResponse(req.params.id, req.apiKey);
+    if (!stored) {
+        return res.status(404).json({
+            error: {
+                message: `Response with id '${req.params.id}' not found.`,
+                type: 'invalid_request_error',
+            },
+        });
+    }
+    res.json(stored.response);
+});
 
-            if (!res.headersSent) {
-                if (status === 429) {
-                    const retryAfter = error.headers?.['retry-after'];
-                    if (retryAfter) res.setHeader('Retry-After', retryAfter);
-                }
-                res.status(status).json({
-                    error: {
-                        message: errMsg,
-                        type: error.type || 'api_error',
-                        code: error.code || null,
-                    },
-                });
-            } else if (!res.writableEnded) {
-                res.end();
-            }
+// Aggregated usage; managed keys only see their own requests
+app.get('/v1/usage', async (req, res) => {
+    const groupBy = String(req.query.group_by || USAGE_GROUP_FIELDS.join(','))
+        .split(',')
+        .map((field) => field.trim())
+        .filter(Boolean);
+    const invalid = groupBy.find(
+        (field) => !USAGE_GROUP_FIELDS.includes(field),
+    );
+    if (invalid) {
+        return res.status(400).json({
+            error: {
+                message: `Invalid group_by field '${invalid}'. Use: ${USAGE_GROUP_FIELDS.join(', ')}`,
+                type: 'invalid_request_error',
+                param: 'group_by',
+            },
+        });
+    }
+    for (const param of ['start', 'end']) {
+        if (req.query[param] && !/^\d{4}-\d{2}-\d{2}$/.test(req.query[param])) {
+            return res.status(400).json({
+                error: {
+                    message: `${param} must be a YYYY-MM-DD date`,
+                    type: 'invalid_request_error',
+                    param,
+                },
+            });
         }
-    };
+    }
 
-    // Handle client disconnect
-    let aborted = false;
-    res.on('close', () => {
-        if (!res.writableEnded) aborted = true;
+    const data = await aggregateUsage({
+        groupBy,
+        start: req.query.start,
+        end: req.query.end,
+        keyId: req.apiKey ? req.apiKey.id : req.query.key,
     });
+    res.json({ object: 'list', group_by: groupBy, data });
+});
 
-    return executeWithRetry();
-}
+// Key management — plaintext keys are only returned on creation
+app.post('/admin/keys', (req, res) => {
+    const result = createApiKey(req.body || {});
+    if (result.error) {
+        return res.status(400).json({
+            error: { message: result.error, type: 'invalid_request_error' },
+        });
+    }
+    log.info(
+        `🔑 API key created: ${result.record.id} (${result.record.label || 'no label'})`,
+    );
+    res.status(201).json({ ...describeApiKey(result.record), key: result.key });
+});
 
-function isAuthError(error) {
-    const status = error.status || error.response?.status;
-    return status === 401 || status === 403;
-}
+app.get('/admin/keys', (req, res) => {
+    res.json({ object: 'list', data: apiKeys.map(describeApiKey) });
+});
 
-// ─── Endpoints ──────────────────────────────────────────────────────────────
+app.delete('/admin/keys/:id', (req, res) => {
+    const record = apiKeys.find((k) => k.id === req.params.id);
+    if (!record) {
+        return res.status(404).json({
+            error: {
+                message: `API key '${req.params.id}' not found.`,
+                type: 'invalid_request_error',
+            },
+        });
+    }
+    if (!record.revoked_at) {
+        record.revoked_at = new Date().toISOString();
+        saveApiKeys();
+        log.info(`🔑 API key revoked: ${record.id}`);
+    }
+    res.json(describeApiKey(record));
+});
 
-app.get('/health', async (req, res) => {
-    if (!credentials) readCredentials();
-    const baseUrl = getApiBaseUrl();
-    const tokenOk = !!getAccessToken();
+// Requests waiting in the queue or talking to the upstream; DELETE cancels one
+app.get('/admin/requests', (req, res) => {
     res.json({
-        status: 'online',
-        server_time: new Date().toISOString(),
-        credentials_path: CREDENTIALS_PATH,
-        token_available: tokenOk,
-        token_expires: credentials?.expiry_date
-            ? new Date(credentials.expiry_date).toISOString()
-            : null,
-        api_base: baseUrl,
-        user_agent: buildUserAgent(),
-        session_id: SESSION_ID,
+        object: 'list',
+        data: [...inFlightRequests.values()].map(describeInFlightRequest),
     });
 });
 
-app.get('/v1/models', (req, res) => {
-    res.json({
-        object: 'list',
-        data: [
-            {
-                id: 'coder-model',
-                object: 'model',
-                created: 1677610602,
-                owned_by: 'qwen',
+app.delete('/admin/requests/:id', (req, res) => {
+    const entry = inFlightRequests.get(req.params.id);
+    if (!entry) {
+        return res.status(404).json({
+            error: {
+                message: `Request '${req.params.id}' is not in flight.`,
+                type: 'invalid_request_error',
             },
-            {
-                id: 'vision-model',
-                object: 'model',
-                created: 1677610602,
-                owned_by: 'qwen',
+        });
+    }
+    entry.controller.abort('cancelled by admin');
+    log.info(`🚫 Request cancelled by admin: ${entry.requestId}`);
+    res.json(describeInFlightRequest(entry));
+});
+
+// Device-code login — returns the URL and code for the user to approve,
+// then polls in the background; GET the login id for its status
+app.post('/admin/login', async (req, res) => {
+    const account = resolveLoginAccount(req.body?.account);
+    if (!account) {
+        return res.status(400).json({
+            error: {
+                message:
+                    'account must be an account id, or a file name inside CREDENTIALS_DIR',
+                type: 'invalid_request_error',
             },
-            {
-                id: 'qwen3-coder-plus',
-                object: 'model',
-                created: 1677610602,
-                owned_by: 'qwen',
+        });
+    }
+    try {
+        const login = await startDeviceLogin(account);
+        log.info(
+            `🔐 OAuth login started [${account.id}]: ${login.verificationUriComplete || login.verificationUri}`,
+        );
+        res.status(201).json(describeDeviceLogin(login));
+    } catch (e) {
+        res.status(502).json({
+            error: {
+                message: `Could not start OAuth login: ${e.message}`,
+                type: 'api_error',
             },
-            {
-                id: 'qwen3-coder-flash',
-                object: 'model',
-                created: 1677610602,
-                owned_by: 'qwen',
+        });
+    }
+});
+
+app.get('/admin/login/:id', (req, res) => {
+    const login = deviceLogins.get(req.params.id);
+    if (!login) {
+        return res.status(404).json({
+            error: {
+                message: `Login '${req.params.id}' not found.`,
+                type: 'invalid_request_error',
             },
+        });
+    }
+    res.json(describeDeviceLogin(login));
+});
+
+// Ollama API — NDJSON streaming on the same pipeline
+app.get('/api/version', (req, res) => {
+    res.json({ version: OLLAMA_VERSION });
+});
+
+app.get('/api/tags', async (req, res) => {
+    await discoverUpstreamModels();
+    res.json({ models: listModels().map(describeOllamaModel) });
+});
+
+app.post('/api/show', (req, res) => {
+    const name = req.body?.model || req.body?.name;
+    const model = findModel(ollamaModelToQwen(name));
+    if (!model) {
+        return res.status(404).json({ error: `model '${name}' not found` });
+    }
+    res.json({
+        modelfile: '',
+        parameters: '',
+        template: '{{ .Prompt }}',
+        details: describeOllamaModel(model).details,
+        model_info: {
+            'general.architecture': 'qwen',
+            ...(model.context_length
+                ? { 'qwen.context_length': model.context_length }
+                : {}),
+        },
+        capabilities: [
+            'completion',
+            ...(model.tools !== false ? ['tools'] : []),
+            'insert',
+            ...(model.vision ? ['vision'] : []),
         ],
+        modified_at: describeOllamaModel(model).modified_at,
     });
 });
 
-// Unified handler — all requests use direct API via OpenAI SDK
-app.post('/v1/chat/completions', async (req, res) => {
-    // API Key Validation
-    if (ROUTER_API_KEY) {
-        const authHeader = req.headers['authorization'];
-        const token = authHeader && authHeader.split(' ')[1];
-        if (token !== ROUTER_API_KEY) {
-            return res.status(401).json({
-                error: { message: 'Unauthorized: Invalid Router API Key' },
-            });
-        }
+app.post('/api/chat', async (req, res) => {
+    if (!Array.isArray(req.body?.messages)) {
+        return res.status(400).json({ error: 'messages is required' });
     }
 
-    const { messages, stream, model, tools, functions, tool_choice } = req.body;
+    const reqBody = ollamaChatToOpenAI(req.body);
     const requestId = `chatcmpl-${crypto.randomUUID()}`;
 
-    console.log(`\n[${new Date().toLocaleTimeString()}] Request ${requestId}`);
-    console.log(
-        `  → Model: ${model || DEFAULT_MODEL}, Stream: ${!!stream}, Messages: ${(messages || []).length}`,
+    startRequestLog(requestId);
+    log.info(
+        `  → Ollama chat → Model: ${reqBody.model}, Stream: ${reqBody.stream}, Messages: ${reqBody.messages.length}`,
     );
 
-    if (Array.isArray(tools) && tools.length > 0) {
-        const toolNames = tools.map((t) => t.function?.name).filter(Boolean);
-        console.log(`  → Tools (${tools.length}): ${toolNames.join(', ')}`);
+    return handleChatCompletion(reqBody, requestId, res, {
+        ...getRequestContext(req),
+        adapter: createOllamaAdapter(res, {
+            kind: 'chat',
+            model: req.body.model || DEFAULT_MODEL,
+        }),
+    });
+});
+
+app.post('/api/generate', async (req, res) => {
+    const body = req.body || {};
+    // An empty prompt is Ollama's "load the model" call
+    if (!body.prompt && !body.suffix) {
+        return res.json({
+            model: body.model || DEFAULT_MODEL,
+            created_at: new Date().toISOString(),
+            response: '',
+            done: true,
+            done_reason: 'load',
+        });
     }
-    if (tool_choice)
-        console.log(`  → Tool Choice: ${JSON.stringify(tool_choice)}`);
 
-    return handleChatCompletion(req.body, requestId, res);
+    const reqBody = ollamaGenerateToOpenAI(body);
+    const requestId = `cmpl-${crypto.randomUUID()}`;
+
+    startRequestLog(requestId);
+    log.info(
+        `  → Ollama generate → Model: ${reqBody.model}, Stream: ${reqBody.stream}, FIM: ${!!body.suffix}`,
+    );
+
+    return handleChatCompletion(reqBody, requestId, res, {
+        ...getRequestContext(req),
+        adapter: createOllamaAdapter(res, {
+            kind: 'generate',
+            model: body.model || DEFAULT_MODEL,
+        }),
+    });
 });
 
 // ─── Server Startup ─────────────────────────────────────────────────────────
@@ -563,11 +5522,11 @@ async function startServer() {
             };
             server = https.createServer(options, app);
             protocol = 'https';
-            console.log('🔒 SSL Certificates loaded successfully.');
+            log.info('🔒 SSL Certificates loaded successfully.');
         } catch (e) {
-            console.error(
-                '⚠️ Failed to load SSL certificates, falling back to HTTP:',
-                e.message,
+            log.warn(
+                '⚠️ Failed to load SSL certificates, falling back to HTTP',
+                { error: e.message },
             );
             server = require('http').createServer(app);
         }
@@ -575,30 +5534,79 @@ async function startServer() {
         server = require('http').createServer(app);
     }
 
+    loadAccounts();
+    watchCredentials();
+    loadApiKeys();
+
     server.listen(PORT, async () => {
-        const tokenOk = await checkAuthStatus();
-        const baseUrl = getApiBaseUrl();
-        console.log(`
+        const validAccounts = await checkAuthStatus();
+        for (const account of accounts) scheduleTokenRefresh(account);
+        const tokenOk = validAccounts > 0;
+        const credentials = accounts[0]?.credentials;
+        const baseUrl = getApiBaseUrl(accounts[0]);
+        if (LOG_FORMAT === 'json') {
+            log.info('Qwen Router active', {
+                endpoint: `${protocol}://localhost:${PORT}/v1`,
+                protected: !!ROUTER_API_KEY || apiKeys.length > 0,
+                managed_keys: apiKeys.length,
+                api_base: baseUrl,
+                accounts_valid: validAccounts,
+                accounts_total: accounts.length,
+                account_strategy: ACCOUNT_STRATEGY,
+                default_model: DEFAULT_MODEL,
+                session_id: SESSION_ID,
+            });
+            return;
+        }
+        log.info(`
   🚀 Qwen Router Active!
   ---------------------------------------------------
   Endpoint       : ${protocol}://localhost:${PORT}/v1
-  API Key        : ${ROUTER_API_KEY ? '(Protected)' : '(Public/Open)'}
+  API Key        : ${ROUTER_API_KEY || apiKeys.length > 0 ? `(Protected, ${apiKeys.length} managed keys)` : '(Public/Open)'}
   Qwen API Base  : ${baseUrl}
   OAuth Token    : ${tokenOk ? '✅ Valid' : '❌ Missing/Invalid'}
   Token Expires  : ${credentials?.expiry_date ? new Date(credentials.expiry_date).toISOString() : 'N/A'}
+  Accounts       : ${validAccounts}/${accounts.length} valid (${ACCOUNT_STRATEGY})
   Default Model  : ${DEFAULT_MODEL}
   User-Agent     : ${buildUserAgent()}
   Session ID     : ${SESSION_ID}
   ---------------------------------------------------
   Uses OpenAI SDK with DashScope headers (same as Qwen CLI)
-  • 429 retry: up to ${MAX_RETRIES}x with exponential backoff (${RATE_LIMIT_RETRY_MS / 1000}s base)
-  • Auto token refresh via direct OAuth2 (no CLI spawn)
+  • 429 → rotate to next account, then pause the queue up to ${MAX_RETRIES}x with exponential backoff (${RATE_LIMIT_RETRY_MS / 1000}s base)
+  • Max in-flight requests: ${MAX_CONCURRENT_REQUESTS > 0 ? MAX_CONCURRENT_REQUESTS : 'unlimited'}
+  • Background token refresh ${REFRESH_BUFFER_MS / 60000}min before expiry via direct OAuth2 (no CLI spawn)
   • DashScope prompt caching enabled for streaming
-  • Native tool/function calling support
+  • Native tool/function calling support${
+      CASSETTE_MODE !== 'off'
+          ? `
+  • Cassette ${CASSETTE_MODE} mode: ${CASSETTE_DIR}`
+          : ''
+  }${
+      RESPONSE_CACHE !== 'off'
+          ? `
+  • Response cache (${RESPONSE_CACHE}): ${RESPONSE_CACHE_SIZE} entries, ${RESPONSE_CACHE_TTL_MS / 60000}min TTL${RESPONSE_CACHE_DIR ? `, disk: ${RESPONSE_CACHE_DIR}` : ''}`
+          : ''
+  }
   ---------------------------------------------------
   Press CTRL+C to stop.
         `);
     });
 }
 
-startServer();
+// Only start when run directly; tests require the app without binding a port
+if (require.main === module) {
+    if (process.argv[2] === 'login') {
+        runLoginCommand(process.argv[3]);
+    } else {
+        startServer();
+    }
+}
+
+module.exports = {
+    app,
+    accounts,
+    loadAccounts,
+    addCacheControl,
+    getApiBaseUrl,
+    refreshToken,
+};
@@ -19,6 +19,7 @@
  *   node test.js --scenario 3       # Run specific scenario
  *   node test.js --base-url http://localhost:4000  # Custom URL
  *   node test.js --api-key sk-xxx   # Custom API key
+ *   node test.js --creds ./mock-creds.json  # Direct tests against mock-upstream.js
  */
 
 const http = require('http');
@@ -0,0 +1,59 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRouter, writeCredentials, postJson } = require('./helpers');
+
+const credDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qwen-router-budget-'));
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: {
+            CREDENTIALS_DIR: credDir,
+            RATE_LIMIT_RETRY_MS: '100',
+            MAX_RETRIES: '1',
+        },
+    });
+    // A second account next to the default one
+    writeCredentials(path.join(credDir, 'second.json'), ctx.mock);
+    ctx.router.loadAccounts();
+});
+after(async () => {
+    await ctx.stop();
+    fs.rmSync(credDir, { recursive: true, force: true });
+});
+
+const chat = () =>
+    postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        messages: [{ role: 'user', content: 'x'.repeat(400) }],
+    });
+
+const tokenBudget = async () =>
+    (await (await fetch(`${ctx.baseUrl}/health`)).json()).token_budget;
+
+test('leaves the budget alone when another account takes the 429', async () => {
+    ctx.mock.script({ chat: [{ status: 429 }] });
+    assert.equal((await chat()).status, 200);
+
+    const budget = await tokenBudget();
+    assert.equal(budget.capacity_tpm, null);
+    assert.equal(budget.last_limited, null);
+});
+
+test('lowers the budget without stalling when no account is left', async () => {
+    // The first account still cools down from the previous test
+    ctx.mock.script({ chat: [{ status: 429 }] });
+    const startedAt = Date.now();
+    assert.equal((await chat()).status, 200);
+
+    const budget = await tokenBudget();
+    assert.ok(budget.capacity_tpm >= 1000);
+    assert.ok(budget.available > 0);
+    assert.ok(budget.last_limited);
+
+    // A request within the learned budget does not wait for a refill
+    assert.equal((await chat()).status, 200);
+    assert.ok(Date.now() - startedAt < 5000);
+});
@@ -0,0 +1,118 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRouter, postJson, parseSSE } = require('./helpers');
+
+const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qwen-router-cache-'));
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: { RESPONSE_CACHE: 'deterministic', RESPONSE_CACHE_DIR: cacheDir },
+    });
+});
+after(async () => {
+    await ctx.stop();
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+});
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const chat = (body, headers) =>
+    postJson(
+        `${ctx.baseUrl}/v1/chat/completions`,
+        { temperature: 0, ...body },
+        headers,
+    );
+
+const upstreamCalls = () =>
+    ctx.mock.requests.filter((r) => r.path.endsWith('/chat/completions'))
+        .length;
+
+const streamedText = (text) =>
+    parseSSE(text)
+        .slice(0, -1)
+        .map((frame) => JSON.parse(frame.data).choices[0]?.delta?.content || '')
+        .join('');
+
+test('serves a repeated deterministic request from the cache', async () => {
+    const body = { messages: [{ role: 'user', content: 'cache me' }] };
+    const first = await chat(body);
+    assert.equal(first.headers.get('x-cache'), 'MISS');
+    const second = await chat(body);
+    assert.equal(second.headers.get('x-cache'), 'HIT');
+
+    const [a, b] = [await first.json(), await second.json()];
+    assert.equal(b.choices[0].message.content, a.choices[0].message.content);
+    assert.notEqual(b.id, a.id);
+    assert.equal(upstreamCalls(), 1);
+    // Waits for the disk write to land
+    await new Promise((resolve) => setTimeout(resolve, 50));
+    assert.ok(fs.readdirSync(cacheDir).length > 0);
+});
+
+test('replays a cached completion as SSE', async () => {
+    const messages = [{ role: 'user', content: 'cache then stream' }];
+    const miss = await (await chat({ messages })).json();
+
+    const res = await chat({ messages, stream: true });
+    assert.equal(res.headers.get('x-cache'), 'HIT');
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    const text = await res.text();
+    assert.equal(parseSSE(text).at(-1).data, '[DONE]');
+    assert.equal(streamedText(text), miss.choices[0].message.content);
+    assert.equal(upstreamCalls(), 1);
+});
+
+test('caches streamed tool calls for later requests', async () => {
+    const body = {
+        messages: [{ role: 'user', content: 'use a tool' }],
+        tools: [
+            {
+                type: 'function',
+                function: {
+                    name: 'read',
+                    parameters: {
+                        type: 'object',
+                        properties: { path: { type: 'string' } },
+                        required: ['path'],
+                    },
+                },
+            },
+        ],
+    };
+    await (await chat({ ...body, stream: true })).text();
+
+    const res = await chat(body);
+    assert.equal(res.headers.get('x-cache'), 'HIT');
+    const { choices } = await res.json();
+    assert.equal(choices[0].finish_reason, 'tool_calls');
+    assert.equal(choices[0].message.tool_calls[0].function.name, 'read');
+    assert.equal(
+        choices[0].message.tool_calls[0].function.arguments,
+        '{"path":"mock"}',
+    );
+});
+
+test('Cache-Control: no-cache bypasses the lookup', async () => {
+    const body = { messages: [{ role: 'user', content: 'always fresh' }] };
+    await chat(body);
+
+    const res = await chat(body, { 'Cache-Control': 'no-cache' });
+    assert.equal(res.headers.get('x-cache'), 'BYPASS');
+    assert.equal(upstreamCalls(), 2);
+});
+
+test('leaves non-deterministic requests alone', async () => {
+    const body = {
+        temperature: 0.7,
+        messages: [{ role: 'user', content: 'be creative' }],
+    };
+    const res = await chat(body);
+    await chat(body);
+    assert.equal(res.headers.get('x-cache'), null);
+    assert.equal(upstreamCalls(), 2);
+});
@@ -0,0 +1,94 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter } = require('./helpers');
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: { ADMIN_API_KEY: 'admin-secret', RATE_LIMIT_RETRY_MS: '500' },
+    });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const chat = (body, signal) =>
+    fetch(`${ctx.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+            messages: [{ role: 'user', content: 'hi' }],
+            ...body,
+        }),
+        signal,
+    });
+
+const inFlight = async () => {
+    const res = await fetch(`${ctx.baseUrl}/admin/requests`, {
+        headers: ADMIN,
+    });
+    return (await res.json()).data;
+};
+
+const cancel = (id) =>
+    fetch(`${ctx.baseUrl}/admin/requests/${id}`, {
+        method: 'DELETE',
+        headers: ADMIN,
+    });
+
+const upstreamCalls = () =>
+    ctx.mock.requests.filter((r) => r.path.endsWith('/chat/completions'))
+        .length;
+
+test('lists in-flight requests and cancels one by id', async () => {
+    ctx.mock.script({ chat: [{ delayMs: 2000 }] });
+    const pending = chat({});
+    await sleep(100);
+
+    const [entry] = await inFlight();
+    assert.equal(entry.state, 'upstream');
+    assert.equal(entry.model, 'coder-model');
+    assert.equal(entry.cancelled, false);
+
+    const cancelled = await cancel(entry.id);
+    assert.equal((await cancelled.json()).cancelled, true);
+
+    const res = await pending;
+    assert.equal(res.status, 499);
+    assert.equal((await res.json()).error.type, 'request_cancelled');
+    assert.deepEqual(await inFlight(), []);
+    assert.equal((await cancel(entry.id)).status, 404);
+});
+
+test('aborts the upstream call when the client disconnects', async () => {
+    ctx.mock.script({ chat: [{ delayMs: 2000 }] });
+    const controller = new AbortController();
+    const pending = chat({ stream: true }, controller.signal).catch(() => {});
+    await sleep(100);
+    controller.abort();
+    await pending;
+
+    // Ends well before the 2s upstream delay
+    await sleep(100);
+    assert.deepEqual(await inFlight(), []);
+});
+
+// Last: the 429 pauses the shared queue
+test('drops a queued retry when the client leaves during backoff', async () => {
+    ctx.mock.script({ chat: [{ status: 429 }] });
+    const controller = new AbortController();
+    const pending = chat({}, controller.signal).catch(() => {});
+    await sleep(100);
+    assert.equal((await inFlight())[0].state, 'queued');
+    controller.abort();
+    await pending;
+
+    await sleep(700);
+    assert.deepEqual(await inFlight(), []);
+    assert.equal(upstreamCalls(), 1);
+});
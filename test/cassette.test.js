@@ -0,0 +1,124 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRouter, postJson } = require('./helpers');
+
+const cassetteDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qwen-router-tape-'));
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: {
+            ADMIN_API_KEY: 'admin-secret',
+            CASSETTE_MODE: 'replay',
+            CASSETTE_DIR: cassetteDir,
+        },
+    });
+});
+after(async () => {
+    await ctx.stop();
+    fs.rmSync(cassetteDir, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const body = (content) => ({
+    stream: true,
+    messages: [{ role: 'user', content }],
+});
+
+const sse = (delta) =>
+    `data: ${JSON.stringify({
+        id: 'chatcmpl-tape',
+        object: 'chat.completion.chunk',
+        created: 1,
+        model: 'coder-model',
+        choices: [{ index: 0, delta, finish_reason: null }],
+    })}\n\n`;
+
+// Writes a cassette for `content` under the key the router reports missing
+const recordCassette = async (content, response) => {
+    const res = await postJson(
+        `${ctx.baseUrl}/v1/chat/completions`,
+        body(content),
+    );
+    const [, key] = (await res.text()).match(/\(([0-9a-f]{24})\)/);
+    fs.writeFileSync(
+        path.join(cassetteDir, `${key}.json`),
+        JSON.stringify({
+            key,
+            response: {
+                status: 200,
+                headers: { 'content-type': 'text/event-stream' },
+                ...response,
+            },
+        }),
+    );
+};
+
+const inFlight = async () => {
+    const res = await fetch(`${ctx.baseUrl}/admin/requests`, {
+        headers: { Authorization: 'Bearer admin-secret' },
+    });
+    return (await res.json()).data;
+};
+
+const streamInBackground = (content) => {
+    const controller = new AbortController();
+    const pending = fetch(`${ctx.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body(content)),
+        signal: controller.signal,
+    })
+        .then((res) => res.text())
+        .catch(() => {});
+    return { controller, pending };
+};
+
+test('replays a recorded stream', async () => {
+    await recordCassette('replay me', {
+        headers_ms: 0,
+        chunks: [
+            { delay_ms: 0, data: sse({ role: 'assistant', content: 'Hi' }) },
+            { delay_ms: 0, data: 'data: [DONE]\n\n' },
+        ],
+    });
+    const res = await postJson(
+        `${ctx.baseUrl}/v1/chat/completions`,
+        body('replay me'),
+    );
+    assert.equal(res.status, 200);
+    assert.match(await res.text(), /"content":"Hi"/);
+});
+
+test('stops a replay while waiting for the recorded headers', async () => {
+    await recordCassette('slow headers', { headers_ms: 5000, chunks: [] });
+    const { controller, pending } = streamInBackground('slow headers');
+    await sleep(200);
+    controller.abort();
+    await pending;
+
+    await sleep(100);
+    assert.deepEqual(await inFlight(), []);
+});
+
+test('stops a replay between recorded chunks', async () => {
+    await recordCassette('slow chunks', {
+        headers_ms: 0,
+        chunks: [
+            { delay_ms: 0, data: sse({ role: 'assistant', content: 'a' }) },
+            { delay_ms: 5000, data: sse({ content: 'b' }) },
+            { delay_ms: 0, data: 'data: [DONE]\n\n' },
+        ],
+    });
+    const { controller, pending } = streamInBackground('slow chunks');
+    await sleep(200);
+    controller.abort();
+    await pending;
+
+    await sleep(100);
+    assert.deepEqual(await inFlight(), []);
+});
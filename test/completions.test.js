@@ -0,0 +1,50 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson, parseSSE } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({ env: { MAX_CONCURRENT_REQUESTS: '0' } });
+});
+after(() => ctx.stop());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const complete = (body) =>
+    postJson(`${ctx.baseUrl}/v1/completions`, { prompt: 'def add(', ...body });
+
+const inFlight = async () =>
+    (await (await fetch(`${ctx.baseUrl}/health`)).json()).scheduler.in_flight;
+
+test('streams many choices without piling up close listeners', async () => {
+    const warnings = [];
+    const onWarning = (warning) => warnings.push(warning.name);
+    process.on('warning', onWarning);
+    try {
+        const res = await complete({ n: 12, stream: true });
+        assert.equal(res.status, 200);
+        const indexes = new Set();
+        for (const { data } of parseSSE(await res.text())) {
+            if (!data || data === '[DONE]') continue;
+            for (const choice of JSON.parse(data).choices) {
+                indexes.add(choice.index);
+            }
+        }
+        assert.equal(indexes.size, 12);
+        await sleep(10);
+    } finally {
+        process.off('warning', onWarning);
+    }
+    assert.ok(!warnings.includes('MaxListenersExceededWarning'));
+});
+
+test('stops the other choices once one fails the request', async () => {
+    ctx.mock.script({
+        chat: [{ status: 400 }, { delayMs: 2000 }, { delayMs: 2000 }],
+    });
+    const res = await complete({ n: 3 });
+    assert.equal(res.status, 400);
+
+    await sleep(100);
+    assert.equal(await inFlight(), 0);
+});
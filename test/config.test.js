@@ -0,0 +1,53 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson } = require('./helpers');
+
+// Settings left empty in .env (`NAME=`) must fall back to their defaults
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: {
+            MAX_CONCURRENT_REQUESTS: '',
+            STREAM_KEEPALIVE_MS: '',
+            RATE_LIMIT_RETRY_MS: '200',
+            CONTEXT_KEEP_TURNS: '0',
+            CONTEXT_WINDOW_TOKENS: '9000',
+        },
+    });
+});
+after(() => ctx.stop());
+
+test('an empty MAX_CONCURRENT_REQUESTS keeps the default of 4', async () => {
+    const health = await (await fetch(`${ctx.baseUrl}/health`)).json();
+    assert.equal(health.scheduler.max_concurrent, 4);
+
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        messages: [{ role: 'user', content: 'hi' }],
+    });
+    assert.equal(res.status, 200);
+});
+
+test('CONTEXT_KEEP_TURNS=0 lets trimming reach the latest turns', async () => {
+    const res = await postJson(
+        `${ctx.baseUrl}/v1/chat/completions`,
+        {
+            messages: [
+                { role: 'user', content: 'x '.repeat(4000) },
+                { role: 'assistant', content: 'ok' },
+                { role: 'user', content: 'hi' },
+            ],
+        },
+        { 'X-Context-Management': 'trim' },
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-context-dropped'), 'messages=1');
+});
+
+test('an empty STREAM_KEEPALIVE_MS keeps heartbeats on', async () => {
+    ctx.mock.script({ chat: [{ status: 429 }] });
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        stream: true,
+        messages: [{ role: 'user', content: 'hi' }],
+    });
+    assert.match(await res.text(), /^: waiting$/m);
+});
@@ -0,0 +1,84 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({ env: { CONTEXT_WINDOW_TOKENS: '20000' } });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+// One user prompt followed by `steps` tool calls and their results
+const agentSession = (steps, resultChars) => {
+    const messages = [
+        { role: 'system', content: 'You are a coding agent.' },
+        { role: 'user', content: 'Fix the failing build' },
+    ];
+    for (let i = 0; i < steps; i++) {
+        messages.push(
+            {
+                role: 'assistant',
+                content: null,
+                tool_calls: [
+                    {
+                        id: `call_${i}`,
+                        type: 'function',
+                        function: { name: 'read', arguments: `{"step":${i}}` },
+                    },
+                ],
+            },
+            {
+                role: 'tool',
+                tool_call_id: `call_${i}`,
+                content: `result ${i} `.padEnd(resultChars, 'x'),
+            },
+        );
+    }
+    return messages;
+};
+
+const send = (messages, mode) =>
+    postJson(
+        `${ctx.baseUrl}/v1/chat/completions`,
+        { max_tokens: 1000, messages },
+        { 'X-Context-Management': mode },
+    );
+
+const upstreamMessages = () => {
+    const call = ctx.mock.requests.find((r) =>
+        r.path.endsWith('/chat/completions'),
+    );
+    return JSON.parse(call.body).messages;
+};
+
+test('trims a long agent session with a single user turn', async () => {
+    const res = await send(agentSession(100, 2000), 'trim');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('x-context-dropped'), /^messages=\d+$/);
+
+    const sent = upstreamMessages();
+    assert.ok(sent.length < 202);
+    // The task and the latest steps survive
+    assert.equal(sent[1].content, 'Fix the failing build');
+    const calls = sent.filter((msg) => msg.role === 'assistant');
+    assert.equal(calls.at(-1).tool_calls[0].id, 'call_99');
+    assert.ok(calls.length >= 4);
+    assert.equal(
+        sent.filter((msg) => msg.role === 'tool').length,
+        calls.length,
+    );
+});
+
+test('collapses old tool results inside the kept steps', async () => {
+    // Four kept steps of ~5000 tokens each overflow the window by themselves
+    const res = await send(agentSession(6, 20000), 'collapse');
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('x-context-dropped'), /tool_results=\d+/);
+
+    const results = upstreamMessages().filter((msg) => msg.role === 'tool');
+    assert.match(results[0].content, /^\[Tool result omitted/);
+    assert.match(results.at(-1).content, /^result 5 /);
+});
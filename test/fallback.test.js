@@ -0,0 +1,96 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson, parseSSE } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: {
+            MAX_RETRIES: '1',
+            RATE_LIMIT_RETRY_MS: '50',
+            MODEL_FALLBACKS: 'qwen3-coder-plus>coder-model>qwen3-coder-flash',
+        },
+    });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const chat = (body) =>
+    postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        model: 'qwen3-coder-plus',
+        messages: [{ role: 'user', content: 'hi' }],
+        ...body,
+    });
+
+const upstreamModels = () =>
+    ctx.mock.requests
+        .filter((r) => r.path.endsWith('/chat/completions'))
+        .map((r) => JSON.parse(r.body).model);
+
+test('walks the chain on 429 and 5xx and reports the model used', async () => {
+    // 429, backoff, 429 again → coder-model 503 → qwen3-coder-flash
+    ctx.mock.script({
+        chat: [{ status: 429 }, { status: 429 }, { status: 503 }],
+    });
+
+    const res = await chat({ model: 'gpt-4o' });
+    assert.equal(res.status, 200);
+    assert.equal(res.headers.get('x-served-model'), 'qwen3-coder-flash');
+    assert.equal((await res.json()).model, 'qwen3-coder-flash');
+    assert.deepEqual(upstreamModels(), [
+        'qwen3-coder-plus',
+        'qwen3-coder-plus',
+        'coder-model',
+        'qwen3-coder-flash',
+    ]);
+});
+
+test('falls back before a stream starts', async () => {
+    ctx.mock.script({ chat: [{ status: 500 }] });
+
+    const res = await chat({ stream: true });
+    assert.equal(res.headers.get('x-served-model'), 'coder-model');
+    const frames = parseSSE(await res.text());
+    assert.equal(JSON.parse(frames[0].data).model, 'coder-model');
+});
+
+test('leaves the served model out of headers a wait already sent', async () => {
+    // The backoff after the first 429 flushes the headers with a keep-alive,
+    // before the second 429 moves the request on to coder-model
+    ctx.mock.script({ chat: [{ status: 429 }, { status: 429 }] });
+
+    const res = await chat({ stream: true });
+    assert.equal(res.headers.get('x-served-model'), null);
+    const text = await res.text();
+    assert.match(text, /^: waiting/m);
+    const frames = parseSSE(text).filter((frame) => frame.data);
+    assert.equal(JSON.parse(frames[0].data).model, 'coder-model');
+});
+
+test('returns the last error once the chain is exhausted', async () => {
+    ctx.mock.script({
+        chat: [{ status: 500 }, { status: 502 }, { status: 503 }],
+    });
+
+    const res = await chat();
+    assert.equal(res.status, 503);
+    assert.equal(upstreamModels().length, 3);
+});
+
+test('does not fall back on client errors', async () => {
+    ctx.mock.script({ chat: [{ status: 400 }] });
+
+    const res = await chat();
+    assert.equal(res.status, 400);
+    assert.deepEqual(upstreamModels(), ['qwen3-coder-plus']);
+});
+
+test('lists the chain in the model catalog', async () => {
+    const res = await fetch(`${ctx.baseUrl}/v1/models/qwen3-coder-plus`);
+    assert.deepEqual((await res.json()).fallbacks, [
+        'coder-model',
+        'qwen3-coder-flash',
+    ]);
+});
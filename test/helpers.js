@@ -0,0 +1,101 @@
+// Shared setup for the automated tests: a mock upstream, a credential file
+// pointing at it, and the router app listening on an ephemeral port.
+// server.js reads its configuration at require time, so each test file runs
+// in its own process (node --test) and calls startRouter() once.
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockUpstream } = require('../mock-upstream');
+
+function listen(server) {
+    return new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+}
+
+function close(server) {
+    return new Promise((resolve) => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+    });
+}
+
+function writeCredentials(credPath, mock, overrides = {}) {
+    const token = mock.issueToken();
+    const creds = {
+        access_token: token.access_token,
+        token_type: 'Bearer',
+        refresh_token: token.refresh_token,
+        resource_url: mock.baseUrl,
+        expiry_date: Date.now() + token.expires_in * 1000,
+        ...overrides,
+    };
+    fs.writeFileSync(credPath, JSON.stringify(creds, null, 2));
+    return creds;
+}
+
+// Starts the mock upstream and the router; `env` overrides router settings
+async function startRouter({ env = {}, credentials = {} } = {}) {
+    const mock = createMockUpstream();
+    await listen(mock);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'qwen-router-test-'));
+    const credPath = path.join(dir, 'test.json');
+    writeCredentials(credPath, mock, credentials);
+
+    // Empty values keep a local .env from leaking into the tests
+    Object.assign(process.env, {
+        CREDENTIALS_PATH: credPath,
+        CREDENTIALS_DIR: '',
+        ROUTER_API_KEY: '',
+        ADMIN_API_KEY: '',
+        API_KEYS_PATH: path.join(dir, 'api-keys.json'),
+        USAGE_LOG_PATH: path.join(dir, 'usage.jsonl'),
+        QWEN_API_BASE_URL: '',
+        QWEN_OAUTH_TOKEN_ENDPOINT: `${mock.baseUrl}/api/v1/oauth2/token`,
+        QWEN_OAUTH_DEVICE_CODE_ENDPOINT: `${mock.baseUrl}/api/v1/oauth2/device/code`,
+        CASSETTE_MODE: 'off',
+        LOG_LEVEL: 'error',
+        ...env,
+    });
+    const router = require('../server');
+    router.loadAccounts();
+    const server = router.app.listen(0, '127.0.0.1');
+    await new Promise((resolve) => server.once('listening', resolve));
+
+    return {
+        mock,
+        router,
+        credPath,
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        async stop() {
+            await close(server);
+            await close(mock);
+            fs.rmSync(dir, { recursive: true, force: true });
+        },
+    };
+}
+
+function postJson(url, body, headers = {}) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body),
+    });
+}
+
+// Splits an SSE body into { event, data } frames
+function parseSSE(text) {
+    return text
+        .split('\n\n')
+        .filter((frame) => frame.trim())
+        .map((frame) => {
+            const result = { event: null, data: null };
+            for (const line of frame.split('\n')) {
+                if (line.startsWith('event: ')) result.event = line.slice(7);
+                if (line.startsWith('data: ')) result.data = line.slice(6);
+            }
+            return result;
+        });
+}
+
+module.exports = { startRouter, writeCredentials, postJson, parseSSE };
@@ -0,0 +1,65 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson, parseSSE } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: {
+            MAX_RETRIES: '1',
+            RATE_LIMIT_RETRY_MS: '300',
+            STREAM_KEEPALIVE_MS: '100',
+            STREAM_KEEPALIVE_STATUS: 'true',
+        },
+    });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const chat = (body) =>
+    postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        messages: [{ role: 'user', content: 'hi' }],
+        ...body,
+    });
+
+const comments = (text) =>
+    text.split('\n').filter((line) => line.startsWith(': '));
+
+// First, before any 429 lowers the learned token budget and requests queue
+test('keeps plain HTTP errors and silence when nothing waits', async () => {
+    ctx.mock.script({ chat: [{ status: 400 }] });
+    const failed = await chat({ stream: true });
+    assert.equal(failed.status, 400);
+
+    const res = await chat({ stream: true });
+    assert.deepEqual(comments(await res.text()), []);
+});
+
+test('sends heartbeats while a stream waits out a 429', async () => {
+    ctx.mock.script({ chat: [{ status: 429 }] });
+
+    const res = await chat({ stream: true });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+    const text = await res.text();
+    const beats = comments(text);
+    // 300ms backoff at a 100ms interval
+    assert.ok(beats.length >= 2);
+    assert.equal(beats[0], ': waiting (rate limited, retry 1/1 in 1s)');
+
+    const frames = parseSSE(text).filter((frame) => frame.data);
+    assert.equal(frames.at(-1).data, '[DONE]');
+    assert.equal(JSON.parse(frames[0].data).object, 'chat.completion.chunk');
+});
+
+test('ends a started stream with an SSE error event', async () => {
+    ctx.mock.script({ chat: [{ status: 429 }, { status: 429 }] });
+
+    const res = await chat({ stream: true });
+    assert.equal(res.status, 200);
+    const frames = parseSSE(await res.text());
+    assert.equal(frames.at(-1).event, 'error');
+    assert.match(JSON.parse(frames.at(-1).data).error.message, /quota/);
+});
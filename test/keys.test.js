@@ -0,0 +1,76 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({ env: { ADMIN_API_KEY: 'admin-secret' } });
+});
+after(() => ctx.stop());
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// ~110 estimated tokens
+const prompt = 'x'.repeat(400);
+
+const chat = (key, signal) =>
+    fetch(`${ctx.baseUrl}/v1/chat/completions`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            Authorization: `Bearer ${key}`,
+        },
+        body: JSON.stringify({
+            messages: [{ role: 'user', content: prompt }],
+        }),
+        signal,
+    });
+
+const createKey = async (body) => {
+    const res = await postJson(`${ctx.baseUrl}/admin/keys`, body, {
+        Authorization: 'Bearer admin-secret',
+    });
+    return (await res.json()).key;
+};
+
+test('holds estimated tokens against the quota while a request runs', async () => {
+    const key = await createKey({ max_tokens_per_day: 150 });
+    ctx.mock.script({ chat: [{ delayMs: 500, content: 'ok' }] });
+
+    const first = chat(key);
+    await sleep(100);
+    const second = await chat(key);
+    assert.equal(second.status, 429);
+    const { error } = await second.json();
+    assert.equal(error.type, 'quota_exceeded');
+    assert.match(error.message, /reserved by requests in flight/);
+    assert.equal((await first).status, 200);
+});
+
+test('releases the hold when a request is cancelled', async () => {
+    const key = await createKey({ max_tokens_per_day: 150 });
+    ctx.mock.script({ chat: [{ delayMs: 2000 }] });
+
+    const controller = new AbortController();
+    const pending = chat(key, controller.signal).catch(() => {});
+    await sleep(100);
+    controller.abort();
+    await pending;
+    await sleep(100);
+
+    assert.equal((await chat(key)).status, 200);
+});
+
+test('matches model scopes through catalog aliases', async () => {
+    const key = await createKey({ models: ['gpt-4o'] });
+    const send = (model) =>
+        postJson(
+            `${ctx.baseUrl}/v1/chat/completions`,
+            { model, messages: [{ role: 'user', content: 'hi' }] },
+            { Authorization: `Bearer ${key}` },
+        );
+
+    assert.equal((await send('gpt-4o')).status, 200);
+    assert.equal((await send('qwen3-coder-plus')).status, 200);
+    assert.equal((await send('qwen3-max')).status, 403);
+});
@@ -0,0 +1,68 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRouter, postJson } = require('./helpers');
+
+const ADMIN = { Authorization: 'Bearer admin-secret' };
+const credDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qwen-router-login-'));
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: { ADMIN_API_KEY: 'admin-secret', CREDENTIALS_DIR: credDir },
+    });
+});
+after(async () => {
+    await ctx.stop();
+    fs.rmSync(credDir, { recursive: true, force: true });
+});
+
+const startLogin = (account) =>
+    postJson(`${ctx.baseUrl}/admin/login`, { account }, ADMIN);
+
+const poolIds = () => ctx.router.accounts.map((a) => a.id);
+
+const waitForLogin = async (id) => {
+    for (;;) {
+        const res = await fetch(`${ctx.baseUrl}/admin/login/${id}`, {
+            headers: ADMIN,
+        });
+        const login = await res.json();
+        if (login.status !== 'pending') return login;
+        await new Promise((resolve) => setTimeout(resolve, 200));
+    }
+};
+
+test('rejects paths outside CREDENTIALS_DIR', async () => {
+    for (const account of ['../escape', '/tmp/evil.json', 'a/b']) {
+        const res = await startLogin(account);
+        assert.equal(res.status, 400, account);
+    }
+    assert.deepEqual(poolIds(), ['test']);
+});
+
+test('adds a named account to the pool only after the login succeeds', async () => {
+    const res = await startLogin('fresh');
+    assert.equal(res.status, 201);
+    const started = await res.json();
+    assert.equal(started.path, path.join(credDir, 'fresh.json'));
+    assert.deepEqual(poolIds(), ['test']);
+
+    const login = await waitForLogin(started.id);
+    assert.equal(login.status, 'success');
+    assert.deepEqual(poolIds(), ['test', 'fresh']);
+    assert.ok(fs.existsSync(path.join(credDir, 'fresh.json')));
+});
+
+test('reports an error when the credentials cannot be saved', async () => {
+    // A directory where the credential file should go makes the rename fail
+    fs.mkdirSync(path.join(credDir, 'blocked.json'));
+    const started = await (await startLogin('blocked')).json();
+
+    const login = await waitForLogin(started.id);
+    assert.equal(login.status, 'error');
+    assert.match(login.error, /Could not save credentials/);
+    assert.ok(!poolIds().includes('blocked'));
+});
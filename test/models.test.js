@@ -0,0 +1,123 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({ env: { MODEL_DISCOVERY: 'true' } });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const getJson = async (path) => {
+    const res = await fetch(`${ctx.baseUrl}${path}`);
+    return { status: res.status, body: await res.json() };
+};
+
+const lastUpstreamBody = () => {
+    const calls = ctx.mock.requests.filter((r) =>
+        r.path.endsWith('/chat/completions'),
+    );
+    return JSON.parse(calls.at(-1).body);
+};
+
+test('lists catalog models with metadata and merges discovered ones', async () => {
+    const { body } = await getJson('/v1/models');
+    const ids = body.data.map((m) => m.id);
+
+    assert.deepEqual(ids, [
+        'coder-model',
+        'vision-model',
+        'qwen3-coder-plus',
+        'qwen3-coder-flash',
+        'qwen3-max',
+    ]);
+    const plus = body.data.find((m) => m.id === 'qwen3-coder-plus');
+    assert.equal(plus.context_length, 1000000);
+    assert.equal(plus.max_output_tokens, 65536);
+    assert.deepEqual(plus.capabilities, { tools: true, vision: false });
+    assert.ok(plus.aliases.includes('gpt-4o'));
+    assert.equal(body.data.at(-1).context_length, null);
+});
+
+test('caches the upstream model list', async () => {
+    await getJson('/v1/models');
+    await getJson('/v1/models/qwen3-max');
+    assert.equal(
+        ctx.mock.requests.filter((r) => r.path.endsWith('/models')).length,
+        0,
+    );
+});
+
+test('looks up models by id and alias', async () => {
+    const byAlias = await getJson('/v1/models/gpt-4o');
+    assert.equal(byAlias.status, 200);
+    assert.equal(byAlias.body.id, 'qwen3-coder-plus');
+
+    const dated = await getJson('/v1/models/claude-3-5-sonnet-20241022');
+    assert.equal(dated.body.id, 'qwen3-coder-plus');
+
+    const missing = await getJson('/v1/models/no-such-model');
+    assert.equal(missing.status, 404);
+    assert.equal(missing.body.error.code, 'model_not_found');
+});
+
+test('forwards aliases as their Qwen model', async () => {
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        model: 'gpt-4o',
+        messages: [{ role: 'user', content: 'hi' }],
+    });
+    assert.equal(res.status, 200);
+    assert.equal(lastUpstreamBody().model, 'qwen3-coder-plus');
+});
+
+test('clamps max_tokens to the model limit', async () => {
+    await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        model: 'qwen3-coder-flash',
+        max_tokens: 200000,
+        messages: [{ role: 'user', content: 'hi' }],
+    });
+    assert.equal(lastUpstreamBody().max_tokens, 65536);
+});
+
+test('maps Claude names through aliases, others to the default', async () => {
+    const send = (model) =>
+        postJson(`${ctx.baseUrl}/v1/messages`, {
+            model,
+            max_tokens: 100,
+            messages: [{ role: 'user', content: 'hi' }],
+        });
+
+    await send('claude-3-5-sonnet-latest');
+    assert.equal(lastUpstreamBody().model, 'qwen3-coder-plus');
+    await send('claude-opus-4-20250514');
+    assert.equal(lastUpstreamBody().model, 'coder-model');
+});
+
+test('labels metrics with catalog ids and groups unknown models', async () => {
+    const send = (model) =>
+        postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+            model,
+            messages: [{ role: 'user', content: 'hi' }],
+        });
+    await send('gpt-4o-2024-08-06');
+    await send('my-own-model-1234');
+
+    const metrics = await (await fetch(`${ctx.baseUrl}/metrics`)).text();
+    const models = new Set(
+        [
+            ...metrics.matchAll(
+                /^qwen_router_requests_total\{.*model="([^"]*)"/gm,
+            ),
+        ].map((match) => match[1]),
+    );
+    assert.ok(models.has('qwen3-coder-plus'));
+    assert.ok(models.has('other'));
+    assert.ok(
+        ![...models].some(
+            (m) => m.startsWith('gpt-4o') || m.startsWith('my-own'),
+        ),
+    );
+});
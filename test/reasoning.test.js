@@ -0,0 +1,122 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson, parseSSE } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({ env: { ADMIN_API_KEY: 'admin-secret' } });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const chat = (body, headers) =>
+    postJson(
+        `${ctx.baseUrl}/v1/chat/completions`,
+        { messages: [{ role: 'user', content: 'think first' }], ...body },
+        headers,
+    );
+
+const mode = (value) => ({ 'X-Reasoning-Mode': value });
+
+// Concatenates each delta field across a streamed response
+const streamedFields = async (res) => {
+    const fields = {};
+    for (const { data } of parseSSE(await res.text())) {
+        if (!data || data === '[DONE]') continue;
+        const delta = JSON.parse(data).choices[0]?.delta || {};
+        for (const [key, value] of Object.entries(delta)) {
+            if (typeof value === 'string') {
+                fields[key] = (fields[key] || '') + value;
+            }
+        }
+    }
+    return fields;
+};
+
+const lastUpstreamBody = () => {
+    const calls = ctx.mock.requests.filter((r) =>
+        r.path.endsWith('/chat/completions'),
+    );
+    return JSON.parse(calls.at(-1).body);
+};
+
+test('passes reasoning through by default', async () => {
+    ctx.mock.script({ chat: [{ reasoning: 'plan it', content: 'Done' }] });
+
+    const { choices } = await (await chat({})).json();
+    assert.equal(choices[0].message.reasoning_content, 'plan it');
+    assert.equal(choices[0].message.content, 'Done');
+});
+
+test('strips reasoning fields and <think> blocks', async () => {
+    ctx.mock.script({
+        chat: [{ reasoning: 'plan', content: '<think>hidden</think>Answer' }],
+    });
+
+    const { choices } = await (await chat({}, mode('strip'))).json();
+    assert.deepEqual(choices[0].message, {
+        role: 'assistant',
+        content: 'Answer',
+    });
+});
+
+test('maps streamed reasoning into a separate field', async () => {
+    // <think> tags arrive split over several content chunks
+    ctx.mock.script({
+        chat: [{ reasoning: 'step one ', content: '<think>more </think>done' }],
+    });
+
+    const fields = await streamedFields(
+        await chat({ stream: true }, mode('field')),
+    );
+    assert.equal(fields.reasoning, 'step one more ');
+    assert.equal(fields.content, 'done');
+    assert.equal(fields.reasoning_content, undefined);
+});
+
+test('wraps streamed reasoning_content in <think> tags', async () => {
+    ctx.mock.script({ chat: [{ reasoning: 'plan ', content: 'Answer' }] });
+
+    const fields = await streamedFields(
+        await chat({ stream: true }, mode('think')),
+    );
+    assert.equal(fields.content, '<think>plan </think>Answer');
+    assert.equal(fields.reasoning_content, undefined);
+});
+
+test('forwards thinking switches from OpenAI and Anthropic requests', async () => {
+    await chat({ enable_thinking: true, thinking_budget: 2048 });
+    assert.equal(lastUpstreamBody().enable_thinking, true);
+    assert.equal(lastUpstreamBody().thinking_budget, 2048);
+
+    await postJson(`${ctx.baseUrl}/v1/messages`, {
+        max_tokens: 100,
+        thinking: { type: 'enabled', budget_tokens: 1024 },
+        messages: [{ role: 'user', content: 'hi' }],
+    });
+    assert.equal(lastUpstreamBody().enable_thinking, true);
+    assert.equal(lastUpstreamBody().thinking_budget, 1024);
+});
+
+// Last: once a managed key exists, every request needs one
+test('applies the reasoning mode of a managed key', async () => {
+    const create = (body) =>
+        postJson(`${ctx.baseUrl}/admin/keys`, body, {
+            Authorization: 'Bearer admin-secret',
+        });
+    const invalid = await create({ reasoning_mode: 'loud' });
+    assert.equal(invalid.status, 400);
+
+    const { key, reasoning_mode } = await (
+        await create({ reasoning_mode: 'strip' })
+    ).json();
+    assert.equal(reasoning_mode, 'strip');
+
+    ctx.mock.script({ chat: [{ reasoning: 'plan', content: 'Answer' }] });
+    const { choices } = await (
+        await chat({}, { Authorization: `Bearer ${key}` })
+    ).json();
+    assert.equal(choices[0].message.reasoning_content, undefined);
+});
@@ -0,0 +1,62 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, writeCredentials, postJson } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter();
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const tokenCalls = () =>
+    ctx.mock.requests.filter((r) => r.path === '/api/v1/oauth2/token');
+
+test('concurrent refreshes of one account share a single request', async () => {
+    const [account] = ctx.router.accounts;
+    writeCredentials(ctx.credPath, ctx.mock, {
+        expiry_date: Date.now() - 1000,
+    });
+    const tokens = await Promise.all(
+        Array.from({ length: 5 }, () => ctx.router.refreshToken(account)),
+    );
+
+    assert.equal(tokenCalls().length, 1);
+    assert.ok(tokens[0]);
+    assert.ok(tokens.every((token) => token === tokens[0]));
+    assert.equal(account.refreshLock, null);
+});
+
+test('concurrent requests with an expired token refresh once', async () => {
+    const [account] = ctx.router.accounts;
+    writeCredentials(ctx.credPath, ctx.mock, {
+        expiry_date: Date.now() - 1000,
+    });
+    account.credentials = null;
+
+    const responses = await Promise.all(
+        Array.from({ length: 3 }, (_, i) =>
+            postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+                messages: [{ role: 'user', content: `request ${i}` }],
+            }),
+        ),
+    );
+
+    assert.deepEqual(
+        responses.map((res) => res.status),
+        [200, 200, 200],
+    );
+    assert.equal(tokenCalls().length, 1);
+});
+
+test('a rejected refresh token marks the account revoked', async () => {
+    const [account] = ctx.router.accounts;
+    ctx.mock.script({ oauth: [{ status: 400, error: 'invalid_grant' }] });
+
+    const token = await ctx.router.refreshToken(account);
+    assert.equal(token, null);
+    assert.equal(account.revoked, true);
+    assert.equal(account.lastRefreshResult, 'failed');
+});
@@ -0,0 +1,60 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({ env: { ADMIN_API_KEY: 'admin-secret' } });
+});
+after(() => ctx.stop());
+
+const respond = (body, headers) =>
+    postJson(`${ctx.baseUrl}/v1/responses`, body, headers);
+
+const retrieve = (id, headers) =>
+    fetch(`${ctx.baseUrl}/v1/responses/${id}`, { headers });
+
+const createKey = async () => {
+    const res = await postJson(
+        `${ctx.baseUrl}/admin/keys`,
+        {},
+        { Authorization: 'Bearer admin-secret' },
+    );
+    return { Authorization: `Bearer ${(await res.json()).key}` };
+};
+
+test('stores a response and chains the next turn onto it', async () => {
+    const first = await (await respond({ input: 'hello' })).json();
+    assert.equal(first.status, 'completed');
+    assert.equal((await retrieve(first.id)).status, 200);
+
+    const next = await respond({
+        input: 'again',
+        previous_response_id: first.id,
+    });
+    assert.equal(next.status, 200);
+    assert.equal((await next.json()).previous_response_id, first.id);
+});
+
+// Last: once a managed key exists, every request needs one
+test('hides stored responses from other managed keys', async () => {
+    const unscoped = await (await respond({ input: 'before keys' })).json();
+    const alice = await createKey();
+    const bob = await createKey();
+
+    const { id } = await (await respond({ input: 'mine' }, alice)).json();
+    assert.equal((await retrieve(id, alice)).status, 200);
+    assert.equal((await retrieve(id, bob)).status, 404);
+    assert.equal((await retrieve(unscoped.id, alice)).status, 404);
+
+    const chained = await respond(
+        { input: 'steal', previous_response_id: id },
+        bob,
+    );
+    assert.equal(chained.status, 404);
+    const ok = await respond(
+        { input: 'continue', previous_response_id: id },
+        alice,
+    );
+    assert.equal(ok.status, 200);
+});
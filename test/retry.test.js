@@ -0,0 +1,85 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const { startRouter, postJson } = require('./helpers');
+
+// Each 429 also lowers the learned token budget (there is only one account to
+// absorb it), so the timing assertions below are lower bounds only
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: { RATE_LIMIT_RETRY_MS: '100', MAX_RETRIES: '2' },
+    });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const chat = (content) =>
+    postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        messages: [{ role: 'user', content }],
+    });
+
+const upstreamCalls = (suffix) =>
+    ctx.mock.requests.filter((r) => r.path.endsWith(suffix));
+
+test('refreshes the token and retries after a 401', async () => {
+    const before = JSON.parse(fs.readFileSync(ctx.credPath, 'utf-8'));
+    ctx.mock.script({ chat: [{ status: 401 }] });
+
+    const res = await chat('after auth error');
+    assert.equal(res.status, 200);
+    const body = await res.json();
+    assert.equal(
+        body.choices[0].message.content,
+        'Mock reply to: after auth error',
+    );
+
+    const calls = upstreamCalls('/chat/completions');
+    assert.equal(calls.length, 2);
+    assert.equal(upstreamCalls('/oauth2/token').length, 1);
+    const after = JSON.parse(fs.readFileSync(ctx.credPath, 'utf-8'));
+    assert.notEqual(after.access_token, before.access_token);
+    assert.equal(
+        calls[1].headers.authorization,
+        `Bearer ${after.access_token}`,
+    );
+});
+
+test('backs off exponentially on 429 without Retry-After', async () => {
+    ctx.mock.script({ chat: [{ status: 429 }, { status: 429 }] });
+    const startedAt = Date.now();
+
+    const res = await chat('after two rate limits');
+    assert.equal(res.status, 200);
+    // RATE_LIMIT_RETRY_MS=100 → 100ms, then 200ms
+    assert.ok(Date.now() - startedAt >= 300);
+    assert.equal(upstreamCalls('/chat/completions').length, 3);
+});
+
+test('honors Retry-After as the backoff base', async () => {
+    ctx.mock.script({ chat: [{ status: 429, retryAfter: 1 }] });
+    const startedAt = Date.now();
+
+    const res = await chat('after retry-after');
+    assert.equal(res.status, 200);
+    assert.ok(Date.now() - startedAt >= 1000);
+});
+
+test('gives up after MAX_RETRIES and forwards the 429', async () => {
+    ctx.mock.script({
+        chat: [
+            { status: 429 },
+            { status: 429 },
+            { status: 429, retryAfter: 7 },
+        ],
+    });
+
+    const res = await chat('always rate limited');
+    assert.equal(res.status, 429);
+    assert.equal(res.headers.get('retry-after'), '7');
+    const body = await res.json();
+    assert.match(body.error.message, /quota exceeded/);
+    assert.equal(upstreamCalls('/chat/completions').length, 3);
+});
@@ -0,0 +1,70 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startRouter, writeCredentials, postJson } = require('./helpers');
+
+const credDir = fs.mkdtempSync(path.join(os.tmpdir(), 'qwen-router-sticky-'));
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: {
+            ACCOUNT_STRATEGY: 'sticky',
+            STICKY_CLIENTS_LIMIT: '2',
+            CREDENTIALS_DIR: credDir,
+        },
+    });
+    // A second account next to the default one
+    writeCredentials(path.join(credDir, 'second.json'), ctx.mock);
+    ctx.router.loadAccounts();
+});
+after(async () => {
+    await ctx.stop();
+    fs.rmSync(credDir, { recursive: true, force: true });
+});
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const tokens = () =>
+    Object.fromEntries(
+        ctx.router.accounts.map((a) => [
+            JSON.parse(fs.readFileSync(a.path, 'utf-8')).access_token,
+            a.id,
+        ]),
+    );
+
+// Sends a request as `client` and returns the account that served it
+const servedBy = async (client) => {
+    ctx.mock.requests.length = 0;
+    const res = await postJson(
+        `${ctx.baseUrl}/v1/chat/completions`,
+        { messages: [{ role: 'user', content: 'hi' }] },
+        { 'X-Client-Id': client },
+    );
+    assert.equal(res.status, 200);
+    const call = ctx.mock.requests.find((r) =>
+        r.path.endsWith('/chat/completions'),
+    );
+    const token = call.headers.authorization.replace(/^Bearer /, '');
+    // Distinct lastUsedAt values for the least-recently-used pick
+    await sleep(5);
+    return tokens()[token];
+};
+
+test('keeps a client on its account', async () => {
+    const first = await servedBy('alice');
+    assert.equal(await servedBy('alice'), first);
+});
+
+test('forgets the least recent clients beyond STICKY_CLIENTS_LIMIT', async () => {
+    const alice = await servedBy('alice');
+    const bob = await servedBy('bob');
+    assert.notEqual(bob, alice);
+    // carol takes alice's account and pushes alice out of the map
+    assert.equal(await servedBy('carol'), alice);
+
+    // Forgotten, alice gets the least recently used account: bob's
+    assert.equal(await servedBy('alice'), bob);
+});
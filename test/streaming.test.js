@@ -0,0 +1,122 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson, parseSSE } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter();
+});
+after(() => ctx.stop());
+
+const readTool = {
+    type: 'function',
+    function: {
+        name: 'read',
+        parameters: {
+            type: 'object',
+            properties: { path: { type: 'string' } },
+            required: ['path'],
+        },
+    },
+};
+
+test('OpenAI streams are data-only SSE frames ending in [DONE]', async () => {
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        stream: true,
+        messages: [{ role: 'user', content: 'stream me please' }],
+    });
+    assert.equal(res.status, 200);
+    assert.match(res.headers.get('content-type'), /^text\/event-stream/);
+
+    const text = await res.text();
+    assert.ok(text.endsWith('\n\n'));
+    const frames = parseSSE(text);
+    assert.ok(frames.every((frame) => frame.event === null));
+    assert.equal(frames.at(-1).data, '[DONE]');
+
+    const chunks = frames.slice(0, -1).map((frame) => JSON.parse(frame.data));
+    const content = chunks
+        .map((chunk) => chunk.choices[0]?.delta?.content || '')
+        .join('');
+    assert.equal(content, 'Mock reply to: stream me please');
+    assert.equal(
+        chunks.find((chunk) => chunk.choices[0]?.finish_reason)?.choices[0]
+            .finish_reason,
+        'stop',
+    );
+});
+
+test('tool call deltas are streamed through intact', async () => {
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        stream: true,
+        messages: [{ role: 'user', content: 'read a file' }],
+        tools: [readTool],
+    });
+    const frames = parseSSE(await res.text());
+    const deltas = frames
+        .slice(0, -1)
+        .map((frame) => JSON.parse(frame.data))
+        .flatMap((chunk) => chunk.choices[0]?.delta?.tool_calls || []);
+
+    assert.equal(deltas[0].function.name, 'read');
+    assert.equal(
+        deltas.map((delta) => delta.function.arguments || '').join(''),
+        '{"path":"mock"}',
+    );
+});
+
+test('usage is sent as a final chunk when requested', async () => {
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        stream: true,
+        stream_options: { include_usage: true },
+        messages: [{ role: 'user', content: 'count tokens' }],
+    });
+    const frames = parseSSE(await res.text());
+    const last = JSON.parse(frames.at(-2).data);
+    assert.deepEqual(last.choices, []);
+    assert.ok(last.usage.total_tokens > 0);
+});
+
+test('Anthropic streams use named events', async () => {
+    const res = await postJson(`${ctx.baseUrl}/v1/messages`, {
+        model: 'claude-3-5-sonnet',
+        max_tokens: 100,
+        stream: true,
+        messages: [{ role: 'user', content: 'hello claude' }],
+    });
+    assert.equal(res.status, 200);
+    const frames = parseSSE(await res.text());
+
+    for (const frame of frames) {
+        assert.equal(JSON.parse(frame.data).type, frame.event);
+    }
+    assert.equal(frames[0].event, 'message_start');
+    assert.equal(frames.at(-1).event, 'message_stop');
+    const text = frames
+        .filter((frame) => frame.event === 'content_block_delta')
+        .map((frame) => JSON.parse(frame.data).delta.text)
+        .join('');
+    assert.equal(text, 'Mock reply to: hello claude');
+});
+
+test('a stream broken mid-way still records its usage', async () => {
+    const totalTokens = async () => {
+        const res = await fetch(`${ctx.baseUrl}/v1/usage?group_by=day`);
+        const { data } = await res.json();
+        return data.reduce((sum, group) => sum + group.total_tokens, 0);
+    };
+    const before = await totalTokens();
+
+    ctx.mock.script({ chat: [{ malformed: true }] });
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        stream: true,
+        messages: [{ role: 'user', content: 'break halfway' }],
+    });
+    assert.equal(res.status, 200);
+    const frames = parseSSE(await res.text());
+    assert.equal(frames.at(-1).event, 'error');
+
+    // The usage log is appended asynchronously
+    await new Promise((resolve) => setTimeout(resolve, 100));
+    assert.ok((await totalTokens()) > before);
+});
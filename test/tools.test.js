@@ -0,0 +1,48 @@
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter, postJson } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter({
+        env: { TOOL_FILTER: 'allowlist', TOOL_ALLOWLIST: 'read_file' },
+    });
+});
+after(() => ctx.stop());
+beforeEach(() => {
+    ctx.mock.requests.length = 0;
+});
+
+const tool = (name) => ({
+    type: 'function',
+    function: { name, description: `Tool ${name}`, parameters: {} },
+});
+
+const upstreamToolNames = async (tools) => {
+    ctx.mock.script({ chat: [{ content: 'ok' }] });
+    const res = await postJson(`${ctx.baseUrl}/v1/chat/completions`, {
+        messages: [{ role: 'user', content: 'hi' }],
+        tools,
+    });
+    assert.equal(res.status, 200);
+    const call = ctx.mock.requests.find((r) =>
+        r.path.endsWith('/chat/completions'),
+    );
+    return JSON.parse(call.body).tools.map((t) => t.function.name);
+};
+
+test('sends only allowlisted tools', async () => {
+    const names = await upstreamToolNames([
+        tool('read_file'),
+        tool('write_file'),
+    ]);
+    assert.deepEqual(names, ['read_file']);
+});
+
+test('sends every tool when none is allowlisted', async () => {
+    const names = await upstreamToolNames([
+        tool('write_file'),
+        tool('run_shell'),
+    ]);
+    assert.deepEqual(names, ['write_file', 'run_shell']);
+});
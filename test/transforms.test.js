@@ -0,0 +1,106 @@
+const { test, describe, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startRouter } = require('./helpers');
+
+let ctx;
+before(async () => {
+    ctx = await startRouter();
+});
+after(() => ctx.stop());
+
+describe('addCacheControl', () => {
+    const messages = [
+        { role: 'system', content: 'You are helpful.' },
+        { role: 'user', content: 'first' },
+        { role: 'assistant', content: 'ok' },
+        {
+            role: 'user',
+            content: [
+                { type: 'text', text: 'a' },
+                { type: 'text', text: 'b' },
+            ],
+        },
+    ];
+    const tools = [
+        { type: 'function', function: { name: 'read' } },
+        { type: 'function', function: { name: 'write' } },
+    ];
+
+    test('leaves non-streaming requests untouched', () => {
+        const result = ctx.router.addCacheControl(messages, tools, false);
+        assert.equal(result.messages, messages);
+        assert.equal(result.tools, tools);
+    });
+
+    test('marks the system prompt, last user part and last tool', () => {
+        const { messages: out, tools: outTools } = ctx.router.addCacheControl(
+            messages,
+            tools,
+            true,
+        );
+        assert.deepEqual(out[0].content, [
+            {
+                type: 'text',
+                text: 'You are helpful.',
+                cache_control: { type: 'ephemeral' },
+            },
+        ]);
+        assert.equal(out[1].content, 'first');
+        assert.deepEqual(out[3].content, [
+            { type: 'text', text: 'a' },
+            { type: 'text', text: 'b', cache_control: { type: 'ephemeral' } },
+        ]);
+        assert.equal(outTools[0].cache_control, undefined);
+        assert.deepEqual(outTools[1].cache_control, { type: 'ephemeral' });
+    });
+
+    test('does not mutate its input', () => {
+        ctx.router.addCacheControl(messages, tools, true);
+        assert.equal(messages[0].content, 'You are helpful.');
+        assert.equal(messages[3].content[1].cache_control, undefined);
+        assert.equal(tools[1].cache_control, undefined);
+    });
+
+    test('handles requests without tools or system prompt', () => {
+        const result = ctx.router.addCacheControl(
+            [{ role: 'user', content: 'hi' }],
+            undefined,
+            true,
+        );
+        assert.equal(result.tools, undefined);
+        assert.deepEqual(result.messages[0].content[0].cache_control, {
+            type: 'ephemeral',
+        });
+    });
+});
+
+describe('getApiBaseUrl', () => {
+    const withResource = (resource_url) => ({
+        credentials: { access_token: 't', resource_url },
+    });
+
+    test('defaults to DashScope without a resource_url', () => {
+        assert.equal(
+            ctx.router.getApiBaseUrl(withResource(undefined)),
+            'https://dashscope.aliyuncs.com/compatible-mode/v1',
+        );
+    });
+
+    test('adds https:// and /v1 to a bare host', () => {
+        assert.equal(
+            ctx.router.getApiBaseUrl(withResource('portal.qwen.ai')),
+            'https://portal.qwen.ai/v1',
+        );
+    });
+
+    test('keeps an explicit scheme and an existing /v1', () => {
+        assert.equal(
+            ctx.router.getApiBaseUrl(withResource('http://127.0.0.1:5055')),
+            'http://127.0.0.1:5055/v1',
+        );
+        assert.equal(
+            ctx.router.getApiBaseUrl(withResource('https://example.com/v1')),
+            'https://example.com/v1',
+        );
+    });
+});